@@ -1,5 +1,5 @@
 #!/usr/bin/env node
-import { generateTWLWithUsfm } from './index.js';
+import { generateTWLWithUsfm, generateTwlByBook } from './index.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -60,7 +60,9 @@ if (usfmPath && !fs.existsSync(usfmPath)) {
       console.log(`Reading USFM from: ${usfmPath}`);
     }
 
-    const tsv = await generateTWLWithUsfm(book, usfmContent);
+    const { matchedTsv: tsv } = usfmContent
+      ? await generateTWLWithUsfm(book, usfmContent)
+      : await generateTwlByBook(book);
 
     // Determine output filename
     let filename;
@@ -1,8 +1,10 @@
 #!/usr/bin/env node
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import { generateTwlByBook } from '../src/index.js';
+import { generateTwlByBook, streamTwlByBook, generateTwlBatch, BATCH_MANIFEST, OUTPUT_FORMATS, serializeTwlResult, twlFileNames, toTwlRow, generateTaggedUsfm, renderTwlReport, combineTwlStats, formatStatsMarkdown, diffTwl, formatTwlDiff, evaluateTwl, formatEvaluation, validateTwl, formatValidation, loadTwArticles } from '../src/index.js';
 import { BibleBookData } from '../src/common/books.js';
+import { bookCodeFromUsfm } from '../src/utils/usfm-alignment-remover.js';
+import { formatTsv } from '../src/utils/tsv.js';
 
 const THIS_DIR = path.dirname(new URL(import.meta.url).pathname);
 
@@ -14,8 +16,44 @@ async function readBooksJs() {
   return map;
 }
 
+async function readTwSource(twPath) {
+  // Directories are walked by the zipProcessor; zip files are loaded into memory once
+  const resolved = path.resolve(twPath);
+  const stat = await fs.stat(resolved);
+  return stat.isDirectory() ? resolved : await fs.readFile(resolved);
+}
+
+// --reuse-ids and --merge take a TWL file, or a directory holding <book>.twl.tsv files (for --all)
+async function previousTwlFor(reusePath, code) {
+  const resolved = path.resolve(reusePath);
+  const stat = await fs.stat(resolved);
+  if (!stat.isDirectory()) return resolved;
+  const candidate = path.join(resolved, `${code.toLowerCase()}.twl.tsv`);
+  try {
+    await fs.access(candidate);
+    return candidate;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Self-contained HTML review report of a generateTwlByBook result
+async function writeReport(file, result) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, renderTwlReport(result), 'utf8');
+  console.error(`Wrote report ${file}`);
+}
+
+// Coverage statistics (twlStats or combineTwlStats output) as JSON for *.json, otherwise Markdown
+async function writeStats(file, stats) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const text = file.toLowerCase().endsWith('.json') ? JSON.stringify(stats, null, 2) + '\n' : formatStatsMarkdown(stats);
+  await fs.writeFile(file, text, 'utf8');
+  console.error(`Wrote statistics ${file}`);
+}
+
 function parseArgs(argv) {
-  const args = { book: '', out: '', outDir: '', all: false, useCompromise: false, dcsHost: 'https://git.door43.org' };
+  const args = { book: '', out: '', outDir: '', all: false, useCompromise: false, dcsHost: 'https://git.door43.org', twSource: '', usfmFile: '', ultRepo: '', twRepo: '', ref: '', cache: false, cacheDir: '', refresh: false, language: '', mode: '', olUsfmFile: '', olRepo: '', olRef: '', idStrategy: '', reuseIds: '', merge: '', suppress: '', terms: '', disambiguation: '', alignments: true, range: '', concurrency: 2, resume: false, stream: false, format: 'tsv', taggedUsfm: false, html: '', stats: '', mergeBase: '', ruleColumn: false };
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
     if (a === '--book' || a === '-b') { args.book = argv[++i] || ''; }
@@ -24,67 +62,381 @@ function parseArgs(argv) {
     else if (a === '--all' || a === '-A') { args.all = true; }
     else if (a === '--use-compromise') { args.useCompromise = true; }
     else if (a === '--dcs') { args.dcsHost = argv[++i] || 'https://git.door43.org'; }
+    else if (a === '--tw') { args.twSource = argv[++i] || ''; }
+    else if (a === '--usfm') { args.usfmFile = argv[++i] || ''; }
+    else if (a === '--ult-repo') { args.ultRepo = argv[++i] || ''; }
+    else if (a === '--tw-repo') { args.twRepo = argv[++i] || ''; }
+    else if (a === '--ref') { args.ref = argv[++i] || ''; }
+    else if (a === '--cache') { args.cache = true; }
+    else if (a === '--no-cache') { args.cache = false; }
+    else if (a === '--cache-dir') { args.cacheDir = argv[++i] || ''; }
+    else if (a === '--refresh') { args.refresh = true; }
+    else if (a === '--language' || a === '-l') { args.language = argv[++i] || ''; }
+    else if (a === '--mode' || a === '-m') { args.mode = argv[++i] || ''; }
+    else if (a === '--ol-usfm') { args.olUsfmFile = argv[++i] || ''; }
+    else if (a === '--ol-repo') { args.olRepo = argv[++i] || ''; }
+    else if (a === '--ol-ref') { args.olRef = argv[++i] || ''; }
+    else if (a === '--ids') { args.idStrategy = argv[++i] || ''; }
+    else if (a === '--reuse-ids') { args.reuseIds = argv[++i] || ''; }
+    else if (a === '--merge') { args.merge = argv[++i] || ''; }
+    else if (a === '--merge-base') { args.mergeBase = argv[++i] || ''; }
+    else if (a === '--suppress') { args.suppress = argv[++i] || ''; }
+    else if (a === '--terms') { args.terms = argv[++i] || ''; }
+    else if (a === '--disambiguation') { args.disambiguation = argv[++i] || ''; }
+    else if (a === '--no-alignments') { args.alignments = false; }
+    else if (a === '--rule-column') { args.ruleColumn = true; }
+    else if (a === '--range' || a === '-r') { args.range = argv[++i] || ''; }
+    else if (a === '--concurrency' || a === '-j') { args.concurrency = Math.max(1, parseInt(argv[++i], 10) || 1); }
+    else if (a === '--resume') { args.resume = true; }
+    else if (a === '--stream') { args.stream = true; }
+    else if (a === '--tagged-usfm') { args.taggedUsfm = true; }
+    else if (a === '--html') { args.html = argv[++i] || ''; }
+    else if (a === '--stats') { args.stats = argv[++i] || ''; }
+    else if (a === '--format' || a === '-f') { args.format = (argv[++i] || '').toLowerCase(); }
   }
   return args;
 }
 
+// twl-generator diff <old.tsv> <new.tsv> [--json]
+async function runDiff(argv) {
+  const files = argv.filter(a => !a.startsWith('--'));
+  if (files.length !== 2) {
+    console.error('Usage: twl-generator diff <old.tsv> <new.tsv> [--json]');
+    process.exit(1);
+  }
+  const [oldTsv, newTsv] = await Promise.all(files.map(f => fs.readFile(path.resolve(f), 'utf8')));
+  const diff = diffTwl(oldTsv, newTsv);
+  process.stdout.write(argv.includes('--json') ? JSON.stringify(diff, null, 2) + '\n' : formatTwlDiff(diff) + '\n');
+}
+
+// Book code of a TWL file name: rut.twl.tsv, twl_RUT.tsv, RUT.tsv
+function bookFromTwlFile(file) {
+  const m = path.basename(file).match(/^(?:twl_)?([0-9a-z]{3})(?:\.twl)?\.tsv$/i);
+  return m && BibleBookData[m[1].toLowerCase()] ? m[1].toLowerCase() : '';
+}
+
+// twl-generator evaluate <generated.tsv|dir> <reference.tsv|dir> [--json] [--top <n>]
+async function runEvaluate(argv) {
+  const files = [];
+  let json = false;
+  let top = 20;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') json = true;
+    else if (argv[i] === '--top') top = parseInt(argv[++i], 10) || top;
+    else files.push(argv[i]);
+  }
+  if (files.length !== 2) {
+    console.error('Usage: twl-generator evaluate <generated.tsv|dir> <reference.tsv|dir> [--json] [--top <n>]');
+    process.exit(1);
+  }
+  const [generatedPath, referencePath] = files.map(f => path.resolve(f));
+
+  // Pair files by book: single files, or every <book>.twl.tsv in a directory with the reference's
+  // <book>.twl.tsv or twl_<BOOK>.tsv
+  const pairs = [];
+  if ((await fs.stat(generatedPath)).isDirectory()) {
+    const refIsDir = (await fs.stat(referencePath)).isDirectory();
+    for (const name of (await fs.readdir(generatedPath)).sort()) {
+      if (name.includes('.no-match.')) continue;
+      const book = bookFromTwlFile(name);
+      if (!book) continue;
+      const candidates = refIsDir ? [`${book}.twl.tsv`, `twl_${book.toUpperCase()}.tsv`].map(n => path.join(referencePath, n)) : [];
+      let refFile = '';
+      for (const c of candidates) {
+        try {
+          await fs.access(c);
+          refFile = c;
+          break;
+        } catch (e) {
+          // try the next naming convention
+        }
+      }
+      if (!refFile) {
+        console.error(`  no reference TWL for ${book}; skipped`);
+        continue;
+      }
+      pairs.push({ book, generatedFile: path.join(generatedPath, name), referenceFile: refFile });
+    }
+  } else {
+    pairs.push({ book: bookFromTwlFile(generatedPath) || bookFromTwlFile(referencePath), generatedFile: generatedPath, referenceFile: referencePath });
+  }
+
+  const books = [];
+  for (const p of pairs) {
+    books.push({ book: p.book, generatedTsv: await fs.readFile(p.generatedFile, 'utf8'), referenceTsv: await fs.readFile(p.referenceFile, 'utf8') });
+  }
+  const result = evaluateTwl(books, { top });
+  process.stdout.write(json ? JSON.stringify(result, null, 2) + '\n' : formatEvaluation(result, { articles: top }) + '\n');
+}
+
+// twl-generator validate <file.tsv|dir> [--book <code>] [--tw <en_tw.zip|dir>] [--dcs <host>] [--tw-repo <owner/repo>] [--ref <ref>] [--language <code>] [--cache | --cache-dir <dir>] [--no-links] [--json]
+async function runValidate(argv) {
+  const files = [];
+  const opts = { book: '', twSource: '', dcsHost: undefined, twRepo: undefined, ref: undefined, language: undefined, cache: false, links: true, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--book' || a === '-b') opts.book = argv[++i] || '';
+    else if (a === '--tw') opts.twSource = argv[++i] || '';
+    else if (a === '--dcs') opts.dcsHost = argv[++i] || undefined;
+    else if (a === '--tw-repo') opts.twRepo = argv[++i] || undefined;
+    else if (a === '--ref') opts.ref = argv[++i] || undefined;
+    else if (a === '--language' || a === '-l') opts.language = argv[++i] || undefined;
+    else if (a === '--cache') opts.cache = true;
+    else if (a === '--cache-dir') opts.cache = path.resolve(argv[++i] || '.');
+    else if (a === '--no-links') opts.links = false;
+    else if (a === '--json') opts.json = true;
+    else files.push(a);
+  }
+  if (files.length !== 1) {
+    console.error('Usage: twl-generator validate <file.tsv|dir> [--book <code>] [--tw <en_tw.zip|dir>] [--dcs <host>] [--tw-repo <owner/repo>] [--ref <ref>] [--language <code>] [--cache | --cache-dir <dir>] [--no-links] [--json]');
+    process.exit(1);
+  }
+
+  // Every TWL of a directory (no-match reports are skipped), or the one file
+  const target = path.resolve(files[0]);
+  const targets = (await fs.stat(target)).isDirectory()
+    ? (await fs.readdir(target)).sort().filter(name => name.endsWith('.tsv') && !name.includes('.no-match.')).map(name => path.join(target, name))
+    : [target];
+
+  // TWLinks are checked against the articles of the TW archive unless --no-links
+  let articles = null;
+  if (opts.links) {
+    // Progress goes to stderr: stdout holds the report
+    const twSource = opts.twSource ? await readTwSource(opts.twSource) : undefined;
+    articles = await loadTwArticles({ twSource, dcsHost: opts.dcsHost, twRepo: opts.twRepo, ref: opts.ref, language: opts.language, cache: opts.cache, log: console.error });
+  }
+
+  const results = {};
+  for (const file of targets) {
+    const book = opts.book || bookFromTwlFile(file);
+    results[path.basename(file)] = validateTwl(await fs.readFile(file, 'utf8'), { book, articles });
+  }
+  if (opts.json) process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+  else process.stdout.write(Object.entries(results).map(([name, result]) => formatValidation(result, { label: name })).join('\n') + '\n');
+  if (Object.values(results).some(result => !result.valid)) process.exitCode = 1;
+}
+
 async function main() {
-  const { book, out, outDir, all, useCompromise, dcsHost } = parseArgs(process.argv);
+  // Subcommands
+  if (process.argv[2] === 'diff') return runDiff(process.argv.slice(3));
+  if (process.argv[2] === 'evaluate') return runEvaluate(process.argv.slice(3));
+  if (process.argv[2] === 'validate') return runValidate(process.argv.slice(3));
+
+  const { book: bookArg, out, outDir, all, useCompromise, dcsHost, twSource: twPath, usfmFile, ultRepo, twRepo, ref, cache, cacheDir, refresh, language, mode, olUsfmFile, olRepo, olRef, idStrategy, reuseIds, merge, suppress: suppressFile, terms: termsFile, disambiguation: disambiguationFile, alignments, range, concurrency, resume, stream, format, taggedUsfm, html, stats, mergeBase, ruleColumn } = parseArgs(process.argv);
+  // With --cache (or --cache-dir) downloads are cached on disk and revalidated on every run
+  const sourceOpts = { ruleColumn, language, mode: mode || undefined, useAlignments: alignments, idStrategy: idStrategy || undefined, olRepo, olRef, dcsHost, ultRepo, twRepo, ref, cache: cacheDir ? path.resolve(cacheDir) : cache, refresh };
+  // Suppression rules (JSON or YAML) are read once and applied to every book
+  if (suppressFile) sourceOpts.suppress = await fs.readFile(path.resolve(suppressFile), 'utf8');
+  // Likewise extra terms and aliases (JSON or YAML)
+  if (termsFile) sourceOpts.terms = await fs.readFile(path.resolve(termsFile), 'utf8');
+  // and disambiguation rules (JSON or YAML)
+  if (disambiguationFile) sourceOpts.disambiguation = await fs.readFile(path.resolve(disambiguationFile), 'utf8');
+  // A local en_tw zip or checkout is read once and reused for every book
+  const twSource = twPath ? await readTwSource(twPath) : undefined;
+  // A local ULT USFM file replaces the DCS download; the book comes from its \id line if not given
+  const usfm = usfmFile ? await fs.readFile(path.resolve(usfmFile), 'utf8') : undefined;
+  // Likewise a local UHB/UGNT USFM file for --mode strongs
+  const olUsfm = olUsfmFile ? await fs.readFile(path.resolve(olUsfmFile), 'utf8') : undefined;
+  // ...or from the start of --range ("JHN 3:1-4:12")
+  const rangeBook = ((range.match(/^\s*([0-9a-z]{3})(?:\s|,|$)/i) || [])[1] || '').toLowerCase();
+  const book = bookArg || (usfm ? bookCodeFromUsfm(usfm) : '') || (olUsfm ? bookCodeFromUsfm(olUsfm) : '') || (BibleBookData[rangeBook] ? rangeBook : '');
+  if ((usfm || olUsfm || range) && (all || (book && book.toLowerCase() === 'all'))) {
+    console.error('--usfm/--ol-usfm/--range cannot be combined with --all');
+    process.exit(1);
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`Unknown --format ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  if (stream && format === 'json') {
+    console.error('--stream writes TSV or JSON Lines; use --format tsv or jsonl');
+    process.exit(1);
+  }
+  if (taggedUsfm && (stream || merge || all || format !== 'tsv' || (mode && mode !== 'english') || (book && book.toLowerCase() === 'all'))) {
+    console.error('--tagged-usfm writes one book\'s USFM in english mode and cannot be combined with --all, --stream, --merge, --format or --mode strongs');
+    process.exit(1);
+  }
+  if ((html || stats) && (stream || taggedUsfm)) {
+    console.error('--html and --stats cannot be combined with --stream or --tagged-usfm');
+    process.exit(1);
+  }
+  if (stream && (all || out || outDir || merge || (book && book.toLowerCase() === 'all'))) {
+    console.error('--stream writes to stdout and cannot be combined with --all, --out, --out-dir or --merge');
+    process.exit(1);
+  }
   if (all || (book && book.toLowerCase() === 'all')) {
     const books = await readBooksJs();
     const codes = Object.keys(books);
     const destDir = outDir ? path.resolve(outDir) : path.resolve(THIS_DIR, '..'); // default to twl-generator dir
-    await fs.mkdir(destDir, { recursive: true });
-    console.error(`Generating TWL for ${codes.length} books to ${destDir} (useCompromise=${useCompromise}, dcsHost=${dcsHost})`);
-    for (const code of codes) {
-      try {
-        const { matchedTsv, noMatchTsv } = await generateTwlByBook(code, { useCompromise, dcsHost });
-        const fname = `${code.toLowerCase()}.twl.tsv`;
-        const outPath = path.join(destDir, fname);
-        await fs.writeFile(outPath, matchedTsv, 'utf8');
-        const nmPath = path.join(destDir, `${code.toLowerCase()}.no-match.twl.tsv`);
-        await fs.writeFile(nmPath, noMatchTsv, 'utf8');
-        console.error(`  ✓ ${code} -> ${fname}`);
-      } catch (err) {
-        console.error(`  ✗ ${code} failed:`, err.message || err);
-      }
+    console.error(`Generating TWL for ${codes.length} books to ${destDir} (useCompromise=${useCompromise}, dcsHost=${dcsHost}${ref ? `, ref=${ref}` : ''}, concurrency=${concurrency})`);
+    // TW terms and the trie are loaded once; books run `concurrency` at a time and --resume skips
+    // the books the manifest of an earlier run lists as done
+    let invalid = 0;
+    const bookStats = [];
+    const { manifest } = await generateTwlBatch(codes, {
+      useCompromise,
+      ...sourceOpts,
+      twSource,
+      outDir: destDir,
+      format,
+      resume,
+      concurrency,
+      includeVerses: !!html,
+      stats: !!stats,
+      bookOptions: async (code) => ({
+        previousTsvFile: reuseIds ? await previousTwlFor(reuseIds, code) : undefined,
+        mergeFile: merge ? await previousTwlFor(merge, code) : undefined,
+        mergeBaseFile: merge && mergeBase ? await previousTwlFor(mergeBase, code) : undefined,
+      }),
+      onBook: async (entry, result) => {
+        // --html <dir> gets a review report per generated book
+        if (html && result) await writeReport(path.join(path.resolve(html), `${entry.book}.twl.html`), result);
+        if (result && result.stats) bookStats.push(result.stats);
+        if (entry.status !== 'ok') console.error(`  ✗ ${entry.book} failed: ${entry.error}`);
+        else if (entry.resumed) console.error(`  - ${entry.book} already done`);
+        else console.error(`  ✓ ${entry.book} -> ${entry.files[0]} (${entry.rows} rows, ${(entry.ms / 1000).toFixed(1)}s)${entry.merge ? ` (merged: ${entry.merge.added} new, ${entry.merge.stale} stale${entry.merge.kept && entry.merge.unchecked === entry.merge.kept ? ', no curated row could be checked for staleness' : ''})` : ''}${entry.validation && entry.validation.errors ? ` (${entry.validation.errors} validation errors)` : ''}`);
+        if (entry.validation && entry.validation.errors) invalid++;
+      },
+    });
+    const s = manifest.summary;
+    if (resume && manifest.settingsChanged) console.error(`  ${BATCH_MANIFEST} was written with other settings; every book was regenerated instead of resumed`);
+    console.error(`Done: ${s.ok}/${s.books} books, ${s.rows} rows, ${s.failed} failed; manifest in ${path.join(destDir, BATCH_MANIFEST)}`);
+    if (stats) {
+      // Books finish out of order; the statistics follow the book order
+      bookStats.sort((a, b) => codes.indexOf(a.book.toUpperCase()) - codes.indexOf(b.book.toUpperCase()));
+      await writeStats(path.resolve(stats), combineTwlStats(bookStats));
+      if (s.resumed) console.error(`  ${s.resumed} books resumed from an earlier run are not in the statistics`);
     }
+    if (invalid) console.error(`${invalid} books have validation errors; run twl-generator validate ${destDir} for details`);
+    if (s.failed || invalid) process.exitCode = 1;
     return;
   }
 
   if (!book) {
-    console.error('Usage: generate-twl --book <code>|all [--out <file.tsv> | --out-dir <dir>] [--use-compromise] [--dcs <host>]');
+    console.error('Usage: generate-twl --book <code>|all [--out <file.tsv> | --out-dir <dir>] [--use-compromise] [--dcs <host>] [--tw <en_tw.zip|dir>] [--usfm <file.usfm>] [--ult-repo <owner/repo>] [--tw-repo <owner/repo>] [--ref <branch|tag|commit>] [--cache | --cache-dir <dir>] [--refresh] [--language <code>] [--mode english|strongs] [--ol-usfm <file.usfm>] [--ol-repo <owner/repo>] [--ol-ref <ref>] [--ids stable|random] [--reuse-ids <file.tsv|dir>] [--merge <existing.tsv|dir>] [--merge-base <previous.tsv|dir>] [--suppress <rules.json|rules.yaml>] [--terms <terms.json|terms.yaml>] [--disambiguation <rules.json|rules.yaml>] [--no-alignments] [--rule-column] [--range <ref>] [--concurrency <n>] [--resume] [--stream] [--format tsv|json|jsonl] [--tagged-usfm] [--html <file.html|dir>] [--stats <file.md|file.json>]');
     console.error('  --dcs defaults to https://git.door43.org');
+    console.error('  --tw reads Translation Words from a local zip or unzipped en_tw checkout instead of downloading');
+    console.error('  --ult-repo/--tw-repo default to unfoldingWord/en_ult and unfoldingWord/en_tw; --ref (default master) applies to both, not to the UHB/UGNT (--ol-repo/--ol-ref; the quote converters use their catalog release)');
+    console.error('  --cache keeps downloads in ~/.cache/twl-generator (or $TWL_CACHE_DIR, or --cache-dir) and revalidates them on every run; --refresh forces a re-download');
+    console.error('  --language selects the gateway-language term rules (en, es-419, fr; default en); non-English needs --ult-repo/--tw-repo or --usfm/--tw');
+    console.error('  --usfm reads the ULT text from a local USFM file (book taken from its \\id line if --book is omitted)');
+    console.error('  row IDs are stable across runs by default (--ids random for the old behaviour); --reuse-ids keeps the IDs of rows in an existing TWL that still match');
+    console.error('  --merge keeps the rows and IDs of a curated TWL, adds new matches flagged Merge=new and flags rows whose GLQuote (or OrigWords, for six-column TWLs) left the ULT (or UHB/UGNT) as Merge=stale');
+    console.error('  --merge-base is the output of the previous merge: its rows since deleted from the curated TWL are not proposed again');
+    console.error('  --suppress applies stoplist rules (term/article, optionally per book or reference, onlyWhenCapitalized, notFollowedBy, notPrecededBy); suppressed candidates are counted and listed in meta.suppressed (--format json), not in the no-match report');
+    console.error('  --terms adds project-specific terms (term -> article) and aliases (alias -> TW term) to the TW headers');
+    console.error('  --disambiguation adds rules that pick the TWLink among candidate articles by surrounding words, capitalization, book/testament or chapters');
+    console.error('  candidates whose TW Strong\'s numbers include the ULT-aligned number are preferred; --no-alignments turns this off');
+    console.error('  --rule-column adds the Disambiguation Rule column (the alignment or rule that chose the TWLink) to TSV output; JSON/JSONL and the HTML report always have it');
+    console.error('  --range limits generation to a reference selection, e.g. "JHN 3:1-4:12", "ROM 8" or "3:1-21, 5" with --book (book taken from the range if --book is omitted)');
+    console.error('  --all loads TW once and runs --concurrency books at a time (default 2), writing twl-manifest.json with per-book rows, timings and errors; --resume skips books already done when the settings are unchanged');
+    console.error('  --stream writes rows to stdout verse by verse as they are generated instead of at the end');
+    console.error('  --format json writes the rows, no-match rows and run metadata as one JSON file; jsonl writes one row object per line (TWL and no-match files)');
+    console.error('  --tagged-usfm writes the ULT as USFM with each match wrapped in \\w word|link-href="rc://*/tw/dict/bible/..."\\w* instead of the TWL');
+    console.error('  --html also writes a self-contained HTML review report with the matches highlighted in each verse (with --all: <dir>/<book>.twl.html per book)');
+    console.error('  --stats also writes coverage statistics (matches per chapter, articles, top terms, Disambiguation/Variant of shares, unlinked articles, zero-match verses) as Markdown, or JSON for *.json; with --all for all books together');
+    console.error('  twl-generator diff <old.tsv> <new.tsv> [--json] compares two TWLs row by row');
+    console.error('  twl-generator validate <file.tsv|dir> [--book <code>] [--tw <en_tw.zip|dir>] [--no-links] [--json] checks columns, references, occurrences, IDs and TWLinks');
+    console.error('  twl-generator evaluate <generated.tsv|dir> <reference.tsv|dir> [--json] [--top <n>] scores output against a gold-standard TWL');
+    console.error('  --mode strongs anchors rows on UHB/UGNT words and their Strong\'s numbers (--ol-repo/--ol-ref default to unfoldingWord/hbo_uhb or el-x-koine_ugnt at master; --ol-usfm reads a local file)');
     process.exit(1);
   }
 
-  const { matchedTsv, noMatchTsv } = await generateTwlByBook(book, { useCompromise, dcsHost });
+  const previousTsvFile = reuseIds ? await previousTwlFor(reuseIds, book) : undefined;
+  const mergeFile = merge ? await previousTwlFor(merge, book) : undefined;
+  const mergeBaseFile = merge && mergeBase ? await previousTwlFor(mergeBase, book) : undefined;
+  // Progress messages go to stderr when the output goes to stdout, so it holds nothing else
+  // (the quote converters, which only print to stdout, are silenced)
+  if (!out && !outDir) Object.assign(sourceOpts, { quiet: true, log: console.error });
+  if (taggedUsfm) {
+    // The ULT with TW word markers, to --out, <book>.tw.usfm in --out-dir, or stdout
+    const tagged = await generateTaggedUsfm(book, { useCompromise, ...sourceOpts, twSource, usfm, range: range || undefined });
+    for (const s of tagged.skipped) console.error(`  not tagged ${s.reference} "${s.matchedText}" ${s.article}: ${s.reason}`);
+    const target = out ? path.resolve(out) : outDir ? path.join(path.resolve(outDir), `${book.toLowerCase()}.tw.usfm`) : '';
+    if (!target) {
+      process.stdout.write(tagged.usfm);
+      return;
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, tagged.usfm, 'utf8');
+    console.log(`Wrote ${target} (${tagged.tagged} words tagged)`);
+    return;
+  }
+  if (stream) {
+    // Rows go to stdout as each chunk of verses is converted; the no-match rows are only counted
+    let header = null;
+    let noMatch = 0;
+    for await (const batch of streamTwlByBook(book, { useCompromise, ...sourceOpts, twSource, usfm, olUsfm, previousTsvFile, range: range || undefined })) {
+      if (format === 'jsonl') {
+        process.stdout.write(batch.rows.map(row => JSON.stringify(toTwlRow(row)) + '\n').join(''));
+      } else {
+        if (!header) {
+          header = batch.header;
+          process.stdout.write(header.join('\t') + '\n');
+        }
+        if (batch.rows.length) process.stdout.write(formatTsv(header, batch.rows).split('\n').slice(1).join('\n') + '\n');
+      }
+      noMatch += batch.noMatchRows.length;
+    }
+    if (noMatch) console.error(`${noMatch} no-match rows not written (use --out for the no-match report)`);
+    return;
+  }
+  const result = await generateTwlByBook(book, { useCompromise, ...sourceOpts, twSource, usfm, olUsfm, previousTsvFile, mergeFile, mergeBaseFile, range: range || undefined, includeVerses: !!html, stats: !!stats });
+  if (html) await writeReport(path.resolve(html), result);
+  if (stats) await writeStats(path.resolve(stats), result.stats);
+  // Quotes of a --usfm draft are converted against the published ULT; flag the verses that differ there
+  const { draftMismatches } = result.meta;
+  if (draftMismatches && draftMismatches.length) {
+    console.error(`${draftMismatches.length} rows are in verses worded differently in the published ULT their quotes were converted against; check their OrigWords:`);
+    for (const row of draftMismatches) console.error(`  draft ${row.reference} ${row.id} "${row.glQuote}" ${row.twLink}`);
+  } else if (usfm && !draftMismatches && result.meta.mode === 'english') {
+    console.error('Warning: the published ULT could not be downloaded to compare with the --usfm draft; quotes were converted against it unchecked');
+  }
+  if (result.meta.suppressed.length) console.error(`${result.meta.suppressed.length} candidates removed by the suppression rules (listed in meta.suppressed of --format json)`);
+  const { mergeReport } = result;
+  if (mergeReport) {
+    console.error(`Merged into ${merge}: kept ${mergeReport.kept} rows, added ${mergeReport.added.length} new, ${mergeReport.stale.length} stale${mergeReport.ignored.length ? `, ${mergeReport.ignored.length} deleted rows not proposed again` : ''}`);
+    if (mergeReport.warning) console.error(`Warning: ${mergeReport.warning}`);
+    for (const row of mergeReport.stale) {
+      console.error(`  stale ${row.Reference} ${row.ID} "${row.GLQuote}" ${row.TWLink}`);
+    }
+  }
+  // Broken rows are reported (and the exit code set) but the output is still written
+  if (result.validation && result.validation.errors.length) {
+    console.error(formatValidation(result.validation, { label: 'Validation' }));
+    process.exitCode = 1;
+  }
+  // --format json puts the TWL rows, the no-match rows and the run metadata in one file
+  const { matched, noMatch } = serializeTwlResult(result, format);
   if (out) {
     const outPath = path.resolve(out);
-    await fs.writeFile(outPath, matchedTsv, 'utf8');
+    await fs.writeFile(outPath, matched, 'utf8');
     console.log(`Wrote ${out}`);
+    if (noMatch === null) return;
     const dir = path.dirname(outPath);
     const base = path.basename(outPath);
-    // Derive a sensible no-match filename when --out doesn't follow *.twl.tsv
+    // Derive a sensible no-match filename when --out doesn't follow *.twl.<format>
+    const ext = `.${format}`;
     let nmFile;
-    if (/\.twl\.tsv$/i.test(base)) nmFile = base.replace(/\.twl\.tsv$/i, '.no-match.twl.tsv');
-    else if (/\.tsv$/i.test(base)) nmFile = base.replace(/\.tsv$/i, '.no-match.twl.tsv');
-    else nmFile = base + '.no-match.twl.tsv';
+    if (base.toLowerCase().endsWith(`.twl${ext}`)) nmFile = base.slice(0, -`.twl${ext}`.length) + `.no-match.twl${ext}`;
+    else if (base.toLowerCase().endsWith(ext)) nmFile = base.slice(0, -ext.length) + `.no-match.twl${ext}`;
+    else nmFile = base + `.no-match.twl${ext}`;
     const nmPath = path.join(dir, nmFile);
-    await fs.writeFile(nmPath, noMatchTsv, 'utf8');
+    await fs.writeFile(nmPath, noMatch, 'utf8');
     console.log(`Wrote ${nmPath}`);
   } else if (outDir) {
     const destDir = path.resolve(outDir);
     await fs.mkdir(destDir, { recursive: true });
-    const outPath = path.join(destDir, `${book.toLowerCase()}.twl.tsv`);
-    await fs.writeFile(outPath, matchedTsv, 'utf8');
-    const nmPath = path.join(destDir, `${book.toLowerCase()}.no-match.twl.tsv`);
-    await fs.writeFile(nmPath, noMatchTsv, 'utf8');
-    console.log(`Wrote ${outPath}`);
-    console.log(`Wrote ${nmPath}`);
+    const files = twlFileNames(book, format);
+    const texts = [matched, noMatch];
+    for (let i = 0; i < files.length; i++) {
+      const filePath = path.join(destDir, files[i]);
+      await fs.writeFile(filePath, texts[i], 'utf8');
+      console.log(`Wrote ${filePath}`);
+    }
   } else {
-    // When writing to stdout, output only the matched TSV to avoid mixing tables
-    process.stdout.write(matchedTsv);
+    // When writing to stdout, output only the matched rows to avoid mixing tables
+    process.stdout.write(matched);
   }
 }
 
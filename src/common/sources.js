@@ -0,0 +1,46 @@
+// Default DCS locations for the resources the generator downloads
+export const DEFAULT_DCS_HOST = 'https://git.door43.org';
+export const DEFAULT_ULT_REPO = 'unfoldingWord/en_ult';
+export const DEFAULT_TW_REPO = 'unfoldingWord/en_tw';
+export const DEFAULT_REF = 'master';
+// Original-language texts used by mode: 'strongs'
+export const DEFAULT_UHB_REPO = 'unfoldingWord/hbo_uhb';
+export const DEFAULT_UGNT_REPO = 'unfoldingWord/el-x-koine_ugnt';
+
+const isRepo = (repo) => /^[^\s/]+\/[^\s/]+$/.test(String(repo || ''));
+
+/**
+ * Resolve owner/repo/ref options into one consistent set of sources.
+ * The same ref (branch, tag or commit) is used for every ULT and TW fetch. The original-language
+ * text is not covered: see resolveOlSource (olRepo/olRef); the quote converters read it at its
+ * catalog release.
+ * defaults supplies the repos for the gateway language; languages without defaults
+ * resolve to '' unless the caller names the repos.
+ */
+export function resolveSources(options = {}, defaults = { ultRepo: DEFAULT_ULT_REPO, twRepo: DEFAULT_TW_REPO }) {
+  const dcsHost = String(options.dcsHost || DEFAULT_DCS_HOST).replace(/\/+$/, '');
+  const ultRepo = options.ultRepo || defaults.ultRepo || '';
+  const twRepo = options.twRepo || defaults.twRepo || '';
+  const ref = options.ref || DEFAULT_REF;
+  if (ultRepo && !isRepo(ultRepo)) throw new Error(`Invalid ultRepo (expected owner/repo): ${ultRepo}`);
+  if (twRepo && !isRepo(twRepo)) throw new Error(`Invalid twRepo (expected owner/repo): ${twRepo}`);
+  return {
+    dcsHost,
+    ultRepo,
+    twRepo,
+    ref,
+    // owner/repo/ref form expected by tsv-quote-converters, which splits it on "/" and puts the
+    // ref into the query string as is: a ref such as release/v2 is sent percent-encoded
+    ultLink: ultRepo ? `${ultRepo}/${encodeURIComponent(ref)}` : '',
+  };
+}
+
+/**
+ * Resolve the original-language repo for a book's testament (UHB for old, UGNT for new).
+ * The OL texts have their own releases, so they use olRef (default master) rather than ref.
+ */
+export function resolveOlSource(testament, options = {}) {
+  const olRepo = options.olRepo || (testament === 'new' ? DEFAULT_UGNT_REPO : DEFAULT_UHB_REPO);
+  if (!isRepo(olRepo)) throw new Error(`Invalid olRepo (expected owner/repo): ${olRepo}`);
+  return { olRepo, olRef: options.olRef || DEFAULT_REF };
+}
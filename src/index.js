@@ -1,6 +1,20 @@
 import { BibleBookData } from './common/books.js';
+import { resolveSources, resolveOlSource } from './common/sources.js';
+import { createCache, contentHash } from './utils/cache.js';
+import { resolveFetch, withGlobalFetch, withConverterLog, memoizeFetch } from './utils/transport.js';
+import { getLanguageRules } from './languages/index.js';
+import { parseTsv, formatTsv, compareReferences } from './utils/tsv.js';
+import { createIdFactory } from './utils/ids.js';
+import { mergeTwl } from './utils/merge.js';
+import { parseSuppressionConfig, createSuppressor } from './utils/suppression.js';
+import { parseTermOverlay, resolveTermOverlay, applyTermOverlay } from './utils/termOverlay.js';
+import { parseDisambiguationRules, createDisambiguator } from './utils/disambiguation.js';
+import { parseAlignedVerses, locateAlignedWords, articleStrongsMap, createAlignmentChooser } from './utils/alignments.js';
+import { parseReferenceSelection, inSelection, referenceInSelection } from './utils/references.js';
+import { twlRowsFromTsv, serializeTwlResult, twlFileNames, OUTPUT_FORMATS } from './utils/rows.js';
+import { validateTwl } from './utils/validate.js';
+import { twlStats } from './utils/stats.js';
 import { addGLQuoteCols, convertGLQuotes2OLQuotes } from 'tsv-quote-converters';
-import { Inflectors } from 'en-inflectors';
 
 const isBrowser = typeof window !== 'undefined';
 
@@ -21,10 +35,38 @@ function findBookMeta(bookMap, code) {
   return { key, ...meta };
 }
 
-async function loadTermsFromEnTw(dcsHost = 'https://git.door43.org') {
-  // Use the updated zipProcessor that accepts dcsHost
+// Text given inline, or read from a file path (Node.js only)
+async function readTextOption(text, file, fileOption, textOption) {
+  if (typeof text === 'string' && text) return text;
+  if (file) {
+    if (isBrowser) throw new Error(`${fileOption} is only supported in Node.js; pass the text as options.${textOption}`);
+    const fs = await import('node:fs/promises');
+    return await fs.readFile(file, 'utf8');
+  }
+  return '';
+}
+
+// Config given as a parsed object, as JSON/YAML text, or read from a file path (Node.js only)
+async function readConfigOption(value, file, fileOption, textOption) {
+  if (value && typeof value === 'object') return value;
+  return readTextOption(value, file, fileOption, textOption);
+}
+
+// Extra terms and aliases (options.terms: JSON/YAML text or parsed overlay;
+// options.termsFile: path, Node.js only), see utils/termOverlay.js
+async function readTermOverlay(options = {}) {
+  const overlay = await readConfigOption(options.terms, options.termsFile, 'termsFile', 'terms');
+  return overlay ? parseTermOverlay(overlay) : null;
+}
+
+async function readUsfmOption(options = {}) {
+  return readTextOption(options.usfm, options.usfmFile, 'usfmFile', 'usfm');
+}
+
+async function loadTermsFromEnTw(sources, twSource = null, fetchOpts = {}) {
+  // Use the updated zipProcessor that accepts dcsHost/repo/ref, or a local/in-memory archive
   const { generateTWTerms } = await import('./utils/zipProcessor.js');
-  return await generateTWTerms(dcsHost);
+  return await generateTWTerms(sources.dcsHost, { twSource, twRepo: sources.twRepo, ref: sources.ref, language: sources.language, ...fetchOpts });
 } function pivotByStrong(twMap) {
   // Build two structures:
   // 1) singles: strong -> Set(articles) including base (strip letter suffix)
@@ -83,7 +125,8 @@ function parseWTokens(usfm) {
     if (m[2]) { curC = parseInt(m[2], 10); continue; }
     if (m[4]) { curV = parseInt(m[4], 10); continue; }
     if (m[5]) {
-      out.push({ c: curC, v: curV, surface: m[5], attrs: m[6] || '' });
+      // UHB marks morpheme breaks with "/"; the OrigWords quote uses the whole word
+      out.push({ c: curC, v: curV, surface: m[5].replace(/\//g, ''), attrs: m[6] || '' });
     }
   }
   return out;
@@ -814,213 +857,959 @@ function chooseArticleByGlQuote(glq, strongId, strongPivot, termMap, twMap, opts
   return { article: chosenMatch.art, disamb, variantTerm };
 }
 
-export async function generateTwlByBook(bookCode, options = {}) {
-  // Extract dcsHost option with default
-  const dcsHost = options.dcsHost || 'https://git.door43.org';
-  const quiet = !!options.quiet;
-
-  // Load terms from en_tw zip file instead of local tw_strongs_list.json
-  const termToArticles = await loadTermsFromEnTw(dcsHost);
+// Previous TWL whose IDs are carried over (options.previousTsv: TSV text;
+// options.previousTsvFile: path, Node.js only)
+async function readPreviousTsv(options = {}) {
+  return readTextOption(options.previousTsv, options.previousTsvFile, 'previousTsvFile', 'previousTsv');
+}
 
-  // Build trie for fast scanning
-  const { buildTermTrie, scanVerseMatches } = await import('./utils/twl-matcher.js');
-  const trie = buildTermTrie(termToArticles);
+// Aligned original-language USFM of a book (options.olUsfm: USFM text; options.olUsfmFile: path,
+// Node.js only), else downloaded from options.olRepo/olRef or the default UHB/UGNT
+async function readOlUsfm(meta, options, ctx) {
+  const olUsfm = await readUsfmOption({ usfm: options.olUsfm, usfmFile: options.olUsfmFile });
+  if (olUsfm) return olUsfm;
+  const { olRepo, olRef } = resolveOlSource(meta.testament, options);
+  const { fetchBookUsfm } = await import('./utils/usfm-alignment-remover.js');
+  return fetchBookUsfm(meta.key, ctx.sources.dcsHost, { repo: olRepo, ref: olRef, ...ctx.cacheOpts, fetch: ctx.fetchImpl });
+}
 
-  // Fetch and parse ULT USFM into verses
-  const { processUsfmForBook } = await import('./utils/usfm-alignment-remover.js');
-  const bibleData = await readBooks();
-  const meta = findBookMeta(bibleData, bookCode);
-  if (!meta) throw new Error(`Unknown book code: ${bookCode}`);
-  const versesByChapter = await processUsfmForBook(meta.key, dcsHost);
-
-  const header = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'Variant of', 'Disambiguation'];
-  const outRows = [header.join('\t')];
-
-  // ID generator
-  const usedIds = new Set();
-  const genId = () => {
-    const letters = 'abcdefghijklmnopqrstuvwxyz';
-    const alnum = 'abcdefghijklmnopqrstuvwxyz0123456789';
-    while (true) {
-      const first = letters[Math.floor(Math.random() * letters.length)];
-      let rest = '';
-      for (let i = 0; i < 3; i++) rest += alnum[Math.floor(Math.random() * alnum.length)];
-      const id = first + rest;
-      if (!usedIds.has(id)) { usedIds.add(id); return id; }
+// Merge generated rows into a curated TWL (see utils/merge.js); stale rows also go to the no-match report.
+// Curated rows without a GLQuote (published TWLs have six columns) are checked against the
+// original-language verse: olUsfm when given, else read or downloaded here. options.mergeBase
+// (mergeBaseFile) is the output of the previous merge; its rows missing from the curated TWL
+// were deleted there and are not added again.
+async function mergeResult(result, book, meta, options, { versesByChapter, olUsfm } = {}) {
+  let olVersesByChapter = null;
+  if (parseTsv(book.mergeTsv).rows.some(row => row.OrigWords && !row.GLQuote)) {
+    try {
+      const { processUsfmContent } = await import('./utils/usfm-alignment-remover.js');
+      olVersesByChapter = processUsfmContent(olUsfm || await readOlUsfm(meta, options, book.ctx));
+    } catch (e) {
+      // Rows are then only re-anchored on the generated rows
+      olVersesByChapter = null;
     }
+  }
+  const baseTsv = await readTextOption(options.mergeBase, options.mergeBaseFile, 'mergeBaseFile', 'mergeBase');
+  const { mergedTsv, kept, added, stale, ignored, checked, unchecked } = mergeTwl(book.mergeTsv, result.matchedTsv, { versesByChapter, olVersesByChapter, baseTsv });
+  const noMatchRows = parseTsv(result.noMatchTsv).rows
+    .concat(stale.map(row => ({ ...row, Reason: 'anchor text no longer in ULT' })))
+    .sort((a, b) => compareReferences(a.Reference, b.Reference));
+  const brief = (row) => ({ Reference: row.Reference, ID: row.ID, TWLink: row.TWLink, GLQuote: row.GLQuote || '' });
+  const mergeReport = { kept, added: added.map(brief), stale: stale.map(brief), ignored: ignored.map(brief), checked, unchecked };
+  if (kept && !checked) mergeReport.warning = `None of the ${kept} curated rows could be checked for stale anchors (no GLQuote, original-language text or matching generated row)`;
+  return {
+    matchedTsv: mergedTsv,
+    noMatchTsv: formatTsv(NO_MATCH_HEADER, noMatchRows),
+    mergeReport,
   };
+}
 
-  // Helpers for Variant of decision (allow only plural/-ed/-ing without marking variant)
-  const pluralizeWord = (w) => {
-    if (/[^aeiou]y$/i.test(w)) return w.replace(/y$/i, 'ies');
-    if (/(s|x|z|ch|sh)$/i.test(w)) return w + 'es';
-    if (/f$/i.test(w) && !/(roof|belief|chief|proof)$/i.test(w)) return w.replace(/f$/i, 'ves');
-    if (/fe$/i.test(w)) return w.replace(/fe$/i, 'ves');
-    if (/o$/i.test(w)) return w + 'es';
-    return w + 's';
-  };
-  const isVowel = (ch) => /[aeiou]/i.test(ch);
-  const isConsonant = (ch) => /[a-z]/i.test(ch) && !isVowel(ch);
-  const endsWithCVC = (w) => w.length >= 3 && isConsonant(w[w.length - 3]) && isVowel(w[w.length - 2]) && isConsonant(w[w.length - 1]) && !/[wxy]/i.test(w[w.length - 1]);
-  const edForm = (w) => {
-    if (/e$/i.test(w)) return w + 'd';
-    if (/[^aeiou]y$/i.test(w)) return w.replace(/y$/i, 'ied');
-    // Do not double the final consonant for words ending in "er" (e.g., gather -> gathered)
-    const lastCh = w[w.length - 1];
-    if (endsWithCVC(w) && !/(?:er|en|or|on|al)$/i.test(w)) return w + lastCh + 'ed';
-    return w + 'ed';
-  };
-  const ingForm = (w) => {
-    if (/ie$/i.test(w)) return w.replace(/ie$/i, 'ying');
-    if (/ee$/i.test(w)) return w + 'ing';
-    if (/e$/i.test(w)) return w.replace(/e$/i, 'ing');
-    const lastCh = w[w.length - 1];
-    if (endsWithCVC(w) && !/(?:er|en|or|on|al)$/i.test(w)) return w + lastCh + 'ing';
-    return w + 'ing';
-  };
+// Columns of the no-match report: rows that need manual linking, each with the reason
+const NO_MATCH_HEADER = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'GLQuote', 'GLOccurrence', 'Disambiguation', 'Reason'];
 
-  const allowNoVariant = (base, match) => {
-    const b = String(base || '');
-    const m = String(match || '');
-    if (!b || !m) return true;
-    if (b.toLowerCase() === m.toLowerCase()) return true;
-    const parts = b.trim().split(/\s+/);
-    const head = parts.length > 1 ? parts.slice(0, -1).join(' ') + ' ' : '';
-    const last = parts[parts.length - 1];
-    const allowed = new Set([
-      head + pluralizeWord(last),
-      head + new Inflectors(last).toPlural(),
-      head + new Inflectors(last).toSingular(),
-      head + edForm(last),
-      head + new Inflectors(last).toPast(),
-      head + ingForm(last),
-      head + new Inflectors(last).toGerund(),
-    ].map(x => x.toLowerCase()));
-    return allowed.has(m.toLowerCase());
-  };
+function tagForArticle(article) {
+  if (article.startsWith('kt/')) return 'keyterm';
+  if (article.startsWith('names/')) return 'name';
+  return '';
+}
 
-  // Walk through verses in order
-  const chapterNums = Object.keys(versesByChapter).map(n => parseInt(n, 10)).sort((a, b) => a - b);
-  for (const c of chapterNums) {
-    const verses = versesByChapter[c] || {};
-    const verseNums = Object.keys(verses).map(n => parseInt(n, 10)).sort((a, b) => a - b);
-    for (const v of verseNums) {
-      const text = verses[v] || '';
-      const matches = scanVerseMatches(text, trie);
-      // Count occurrences per exact matchedText (case-sensitive)
-      const occMap = new Map();
-      for (const m of matches) {
-        const glq = m.matchedText;
-        const occ = (occMap.get(glq) || 0) + 1;
-        occMap.set(glq, occ);
-
-        const ref = `${c}:${v}`;
-        const id = genId();
-        const primaryArticle = m.preferredArticle || (m.articles && m.articles[0]) || '';
-        let tag = '';
-        if (primaryArticle.startsWith('kt/')) tag = 'keyterm';
-        else if (primaryArticle.startsWith('names/')) tag = 'name';
-        const twLink = primaryArticle ? `rc://*/tw/dict/bible/${primaryArticle}` : '';
-
-        // Variant of: only if beyond plural/-ed/-ing differences
-        const variantOf = allowNoVariant(m.term, glq) ? '' : m.term;
-        // Disambiguation: list all candidate articles for this match
-        const disamb = (m.articles && m.articles.length > 1) ? `(${m.articles.join(', ')})` : '';
-
-        // Set OrigWords/Occurrence equal to GLQuote/GLOccurrence for English-first output
-        outRows.push([
-          ref,
-          id,
-          tag,
-          glq,
-          String(occ),
-          twLink,
-          variantOf,
-          disamb,
-        ].join('\t'));
+// Original-language mode: rows are anchored on the UHB/UGNT \w tokens, Strong's numbers are
+// mapped to articles through the TW Word Data, and the ULT GLQuote picks among the candidates
+async function generateTwlByStrongs(meta, options, ctx) {
+  const { sources, fetchImpl, quiet, converterLog, selection } = ctx;
+  const bookCode = String(meta.key).toLowerCase();
+
+  // TW articles in the tw_strongs_list.json shape: { article: { article: { terms }, strongs } }
+  const articles = await ctx.articles();
+  const twMap = {};
+  for (const [id, a] of Object.entries(articles)) {
+    twMap[id] = { article: { terms: a.terms.slice() }, strongs: a.strongs };
+  }
+  // Overlay terms and aliases become extra terms of their articles when reading the GLQuote
+  const overlay = await readTermOverlay(options);
+  if (overlay) {
+    const headerTerms = {};
+    for (const [id, entry] of Object.entries(twMap)) {
+      for (const term of entry.article.terms) (headerTerms[term] = headerTerms[term] || []).push(id);
+    }
+    for (const [term, ids] of Object.entries(resolveTermOverlay(headerTerms, overlay))) {
+      for (const id of ids) {
+        if (!twMap[id].article.terms.includes(term)) twMap[id].article.terms.push(term);
       }
     }
   }
+  const strongPivot = pivotByStrong(twMap);
+  const termMap = buildArticleTermMap(twMap);
+
+  // Aligned OL USFM, given or downloaded
+  const olUsfm = await readOlUsfm(meta, options, ctx);
+  let tsv = buildInitialTsv(olUsfm, strongPivot, bookCode);
+  if (selection) {
+    const [head, ...body] = tsv.split('\n');
+    tsv = [head, ...body.filter(line => referenceInSelection(selection, line.split('\t')[0]))].join('\n');
+  }
 
-  // Build TSV and convert GL OrigWords back to OL using tsv-quote-converters
-  let matchedTsv = outRows.join('\n');
+  // GLQuote/GLOccurrence for each OL word from the ULT alignment
+  let haveGlQuotes = false;
   try {
-    const conv = await convertGLQuotes2OLQuotes({
-      bibleLink: 'unfoldingWord/en_ult/master',
-      bookCode: String(meta.key || bookCode).toLowerCase(),
-      tsvContent: matchedTsv,
+    if (!sources.ultLink) throw new Error('No ULT repository to align quotes against');
+    const result = await withConverterLog(converterLog, () => withGlobalFetch(fetchImpl, () => addGLQuoteCols({
+      bibleLinks: [sources.ultLink],
+      bookCode,
+      dcsUrl: sources.dcsHost,
+      tsvContent: tsv,
       trySeparatorsAndOccurrences: true,
       quiet,
-    });
-    if (conv && typeof conv.output === 'string' && conv.output.length) {
-      matchedTsv = conv.output;
+    })));
+    if (result && typeof result.output === 'string' && result.output.length) {
+      tsv = result.output;
+      haveGlQuotes = true;
     }
   } catch (e) {
-    // If conversion fails (e.g., no network), fall back to unconverted TSV
+    // Without GLQuotes every row keeps the first candidate article for its Strong's number
   }
 
-  // Now add the actual GLQuote/GLOccurrence by calling addGLQuoteCols
+  const nlp = options.useCompromise ? (await import('compromise')).default : null;
+  // Stable (default) or random IDs, reusing those of options.previousTsv rows that still match
+  const nextId = createIdFactory({ bookCode, strategy: options.idStrategy, previousTsv: await readPreviousTsv(options) });
+  const matchedRows = [['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'GLQuote', 'GLOccurrence', 'Variant of', 'Disambiguation'].join('\t')];
+  const noMatchRows = [];
+
+  const lines = tsv.split('\n');
+  const head = lines[0].split('\t');
+  const idx = (name) => head.indexOf(name);
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) continue;
+    const cols = line.split('\t');
+    const g = (name) => (idx(name) >= 0 && cols[idx(name)] !== undefined ? cols[idx(name)] : '');
+    const strongId = g('ID');
+    const candidates = prioritizeArticles('', strongId, strongPivot);
+    const candidateDisamb = candidates.length > 1 ? `(${candidates.join(', ')})` : '';
+    const fallbackArticle = g('TWLink').replace(/^rc:\/\/\*\/tw\/dict\/bible\//, '');
+    const glq = g('GLQuote');
+    const glo = g('GLOccurrence');
+
+    if (!haveGlQuotes) {
+      const id = nextId({ reference: g('Reference'), article: fallbackArticle, quote: g('OrigWords'), occurrence: g('Occurrence') });
+      matchedRows.push([g('Reference'), id, tagForArticle(fallbackArticle), g('OrigWords'), g('Occurrence'), g('TWLink'), '', '', '', candidateDisamb].join('\t'));
+      continue;
+    }
+
+    const glqFound = glq && !glq.startsWith('QUOTE_NOT_FOUND');
+    const choice = glqFound
+      ? chooseArticleByGlQuote(glq, strongId, strongPivot, termMap, twMap, { useCompromise: !!nlp, nlp })
+      : null;
+    if (!choice) {
+      // No article term found in the GLQuote (or no GLQuote at all): leave it for review
+      noMatchRows.push({
+        Reference: g('Reference'),
+        ID: nextId({ reference: g('Reference'), article: fallbackArticle, quote: g('OrigWords'), occurrence: g('Occurrence') }),
+        Tags: tagForArticle(fallbackArticle),
+        OrigWords: g('OrigWords'),
+        Occurrence: g('Occurrence'),
+        TWLink: g('TWLink'),
+        GLQuote: glqFound ? glq : '',
+        GLOccurrence: glqFound ? glo : '',
+        Disambiguation: candidateDisamb,
+        Reason: glqFound ? `no term of ${candidates.join(', ')} in GLQuote` : 'GLQuote not found in ULT',
+      });
+      continue;
+    }
+    matchedRows.push([
+      g('Reference'),
+      nextId({ reference: g('Reference'), article: choice.article, quote: g('OrigWords'), occurrence: g('Occurrence'), glQuote: glq, glOccurrence: glo }),
+      tagForArticle(choice.article),
+      g('OrigWords'),
+      g('Occurrence'),
+      `rc://*/tw/dict/bible/${choice.article}`,
+      glq,
+      glo,
+      choice.variantTerm,
+      choice.disamb,
+    ].join('\t'));
+  }
+
+  return { matchedTsv: matchedRows.join('\n'), noMatchTsv: formatTsv(NO_MATCH_HEADER, noMatchRows), olUsfm };
+}
+
+// Everything that does not depend on the book: language rules, sources, cache, fetch, and the TW
+// terms, trie and article models (loaded on first use). generateTwlByBook builds one per call unless
+// options.context is given; a batch builds it once for every book, see generateTwlBatch.
+export async function createTwlContext(options = {}) {
+  // Gateway language rules (options.language, default en): term prefixes, variants, "Variant of"
+  const rules = getLanguageRules(options.language);
+  // Resolve dcsHost, ultRepo, twRepo and ref options with the language's defaults
+  const sources = { ...resolveSources(options, rules.defaultRepos), language: rules.code };
+  // Optional persistent cache (options.cache: true, a directory/cache name, or a { get, put } store)
+  const cacheOpts = { cache: createCache(options.cache), refresh: !!options.refresh };
+  // Optional fetch implementation (proxy, auth headers, local fixture server) used for every download
+  const fetchImpl = options.fetch ? resolveFetch(options) : undefined;
+  // Progress messages: options.log (e.g. console.error when the output goes to stdout), none with
+  // options.quiet, else console.log. options.quiet also silences the quote converters; what they
+  // print regardless goes to the same log (converterLog, null to leave it on console.log)
+  const log = options.log || (options.quiet ? () => {} : console.log);
+
+  let english = null;
+  let articles = null;
+  let archive = null;
+  let quoteFetch = null;
+  // The TW archive is downloaded and unzipped once for both the terms and the article models
+  const twArchive = () => archive || (archive = (async () => {
+    const { openTwArchive } = await import('./utils/zipProcessor.js');
+    return openTwArchive(sources.dcsHost, { twSource: options.twSource, twRepo: sources.twRepo, ref: sources.ref, language: rules.code, ...cacheOpts, fetch: fetchImpl, log });
+  })());
+  const context = {
+    rules,
+    sources,
+    cacheOpts,
+    fetchImpl,
+    quiet: !!options.quiet,
+    converterLog: options.log || options.quiet ? log : null,
+    // Fetch for the quote converters that keeps their ULT and original-language downloads in memory,
+    // one per context so concurrent streams share it (withGlobalFetch installs one fetch at a time)
+    quoteFetch: () => quoteFetch || (quoteFetch = memoizeFetch(fetchImpl || resolveFetch())),
+    log,
+    // Term trie and rules for the English-first scan
+    english: () => english || (english = (async () => {
+      // Load terms from en_tw zip file instead of local tw_strongs_list.json
+      // (options.twSource: local zip/directory path, or ArrayBuffer/Uint8Array/Blob)
+      // plus any project-specific terms and aliases
+      const twTerms = await loadTermsFromEnTw(sources, options.twSource, { ...cacheOpts, fetch: fetchImpl, log, archive: await twArchive() });
+      const overlay = await readTermOverlay(options);
+      const termToArticles = overlay ? applyTermOverlay(twTerms, overlay) : twTerms;
+
+      // Build trie for fast scanning
+      const { buildTermTrie } = await import('./utils/twl-matcher.js');
+      const trie = buildTermTrie(termToArticles, { language: rules.code, log });
+
+      // Suppression rules for noisy terms (options.suppress: JSON/YAML text or parsed config;
+      // options.suppressFile: path, Node.js only), see utils/suppression.js
+      const suppressConfig = await readConfigOption(options.suppress, options.suppressFile, 'suppressFile', 'suppress');
+      const suppressor = suppressConfig ? createSuppressor(parseSuppressionConfig(suppressConfig)) : null;
+      // Disambiguation rules that pick the TWLink among several candidate articles, ahead of the
+      // built-in ones (options.disambiguation: JSON/YAML text or parsed rules; options.disambiguationFile:
+      // path, Node.js only), see utils/disambiguation.js
+      const disambiguationConfig = await readConfigOption(options.disambiguation, options.disambiguationFile, 'disambiguationFile', 'disambiguation');
+      const disambiguator = createDisambiguator(parseDisambiguationRules(disambiguationConfig || null));
+      return { trie, suppressor, disambiguator, articleIds: new Set(Object.values(twTerms).flat()) };
+    })()),
+    // TW article models (Strong's numbers for --mode strongs and the ULT alignments)
+    articles: () => articles || (articles = (async () => {
+      const { generateTWArticles } = await import('./utils/zipProcessor.js');
+      return generateTWArticles(sources.dcsHost, { language: rules.code, log, archive: await twArchive() });
+    })()),
+    // Ids of the TW articles, from whichever of the two above is loaded (for validation)
+    articleIds: async () => (articles || !english ? new Set(Object.keys(await context.articles())) : (await context.english()).articleIds),
+  };
+  return context;
+}
+
+// Columns of an English-first TWL once the quotes are converted
+const TWL_HEADER = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'GLQuote', 'GLOccurrence', 'Variant of', 'Disambiguation', 'Disambiguation Rule'];
+// The rule that chose the TWLink is always in the structured rows, but only written to the TSV
+// with options.ruleColumn, so the TSV keeps the usual TWL columns
+const RULE_COLUMN = 'Disambiguation Rule';
+const tsvHeader = (header, options) => (options.ruleColumn ? header : header.filter(name => name !== RULE_COLUMN));
+
+// Per-book setup shared by generateTwlByBook and streamTwlByBook: context, mode, merge/previous
+// TWLs and the reference selection (which may supply the book code)
+async function prepareBook(bookCode, options) {
+  // Shared, book-independent setup (options.context from createTwlContext; its language, source,
+  // term, suppression and disambiguation options take the place of those given here)
+  const ctx = options.context || await createTwlContext(options);
+
+  // Generation mode: 'english' (default) scans the ULT text for TW terms;
+  // 'strongs' starts from the original-language words and their Strong's numbers
+  const mode = options.mode || 'english';
+  if (mode !== 'english' && mode !== 'strongs') throw new Error(`Unknown mode: ${mode} (expected 'english' or 'strongs')`);
+  // Merge into a curated TWL (options.merge: TSV text; options.mergeFile: path, Node.js only);
+  // its IDs are reused unless a separate previous TWL is given
+  const mergeTsv = await readTextOption(options.merge, options.mergeFile, 'mergeFile', 'merge');
+  const previousTsv = (await readPreviousTsv(options)) || mergeTsv;
+  // Reference selection (options.range: 'JHN 3:1-4:12', 'ROM 8', or '3:1-21, 5' for bookCode);
+  // only the selected verses are scanned and emitted
+  const selection = options.range ? parseReferenceSelection(options.range, { book: bookCode }) : null;
+  if (selection) {
+    if (bookCode && selection.book !== String(bookCode).toLowerCase()) throw new Error(`Range ${options.range} is not in book ${bookCode}`);
+    bookCode = selection.book;
+  }
+  // key: the resolved book code, set once the book's text is loaded (the code may come from its \id line);
+  // ultVerses: the ULT text by chapter and verse, once loaded
+  return { ctx, mode, mergeTsv, previousTsv, selection, bookCode, key: '', ultVerses: null };
+}
+
+// Strong's-first generation of one book, merged into options.merge if given
+async function generateStrongsBook(book, options) {
+  const { ctx, mergeTsv, previousTsv, selection, bookCode } = book;
+  const { sources, cacheOpts, fetchImpl } = ctx;
+  const { bookCodeFromUsfm, processUsfmForBook, processUsfmContent } = await import('./utils/usfm-alignment-remover.js');
+  const olUsfm = await readUsfmOption({ usfm: options.olUsfm, usfmFile: options.olUsfmFile });
+  const olCode = bookCode || (olUsfm ? bookCodeFromUsfm(olUsfm) : '');
+  const olMeta = findBookMeta(await readBooks(), olCode || '');
+  if (!olMeta) throw new Error(`Unknown book code: ${olCode || bookCode}`);
+  book.key = String(olMeta.key).toLowerCase();
+  const { olUsfm: olText, ...result } = await generateTwlByStrongs(olMeta, { ...options, olUsfm, previousTsv }, { ...ctx, selection });
+  if (!mergeTsv && !options.includeVerses && !options.stats) return result;
+  // The ULT text is only needed to find stale rows (and for options.includeVerses and stats);
+  // without it nothing is marked stale
   try {
-    const result = await addGLQuoteCols({
-      bibleLinks: ['unfoldingWord/en_ult/master'],
-      bookCode: String(meta.key || bookCode).toLowerCase(),
-      tsvContent: matchedTsv,
-      trySeparatorsAndOccurrences: true,
-      usePreviousGLQuotes: true,
-      quiet,
-    });
-    if (result && typeof result.output === 'string' && result.output.length) {
-      matchedTsv = result.output;
-      // Reorder columns: move cols[5] and cols[6] to after cols[7] for every line
+    const ultText = await readUsfmOption(options);
+    if (ultText) book.ultVerses = processUsfmContent(ultText);
+    else if (sources.ultRepo) book.ultVerses = await processUsfmForBook(olMeta.key, sources.dcsHost, { repo: sources.ultRepo, ref: sources.ref, ...cacheOpts, fetch: fetchImpl });
+  } catch (e) {
+    book.ultVerses = null;
+  }
+  return mergeTsv ? mergeResult(result, book, olMeta, options, { versesByChapter: book.ultVerses, olUsfm: olText }) : result;
+}
+
+// English-first generation of one book: loads the ULT and returns the verses to scan with
+// scanVerse(chapter, verse), giving the raw row lines, shadowed candidates (no-match rows) and
+// suppressed and shadowed candidates of a verse, and
+// convertChunk(lines), which converts the quotes of a run of scanned verses at once
+async function prepareEnglishBook(book, options) {
+  const { ctx, previousTsv, selection, bookCode } = book;
+  const { rules, sources, cacheOpts, fetchImpl, quiet, converterLog } = ctx;
+
+  // Term trie, suppression and disambiguation rules, shared by every book of the context
+  const { trie, suppressor, disambiguator } = await ctx.english();
+  const { scanVerseMatches } = await import('./utils/twl-matcher.js');
+
+  // Fetch and parse ULT USFM into verses, unless the caller supplied the USFM
+  // (options.usfm: USFM text; options.usfmFile: path to a USFM file, Node.js only)
+  const { fetchBookUsfm, processUsfmContent, bookCodeFromUsfm } = await import('./utils/usfm-alignment-remover.js');
+  const usfmText = await readUsfmOption(options);
+  const code = bookCode || (usfmText ? bookCodeFromUsfm(usfmText) : '');
+  const bibleData = await readBooks();
+  const meta = findBookMeta(bibleData, code || '');
+  if (!meta) throw new Error(`Unknown book code: ${code || bookCode}`);
+  book.key = String(meta.key).toLowerCase();
+  if (!usfmText && !sources.ultRepo) throw new Error(`No default ULT repository for language '${rules.code}'; pass ultRepo or usfm`);
+  const ultUsfm = usfmText || await fetchBookUsfm(meta.key, sources.dcsHost, { repo: sources.ultRepo, ref: sources.ref, ...cacheOpts, fetch: fetchImpl });
+  const versesByChapter = processUsfmContent(ultUsfm);
+  book.ultVerses = versesByChapter;
+
+  // A draft (options.usfm) is scanned, but its quotes are converted against the published ULT, so
+  // verses worded differently there are flagged; not compared when the published ULT is unavailable
+  let publishedVerses = null;
+  if (usfmText && sources.ultRepo) {
+    try {
+      publishedVerses = processUsfmContent(await fetchBookUsfm(meta.key, sources.dcsHost, { repo: sources.ultRepo, ref: sources.ref, ...cacheOpts, fetch: fetchImpl }));
+    } catch (e) {
+      publishedVerses = null;
+    }
+  }
+
+  // Strong's numbers aligned to each English word (unless options.useAlignments is false) resolve
+  // matches with several candidate articles before the disambiguation rules, see utils/alignments.js
+  const aligned = options.useAlignments !== false && ultUsfm.includes('\\zaln-s') ? parseAlignedVerses(ultUsfm) : null;
+  const articleStrongs = aligned ? articleStrongsMap(await ctx.articles()) : null;
+
+  const header = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'Variant of', 'Disambiguation', 'Disambiguation Rule'];
+
+  // Stable (default) or random IDs, reusing those of options.previousTsv rows that still match
+  const nextId = createIdFactory({ bookCode: meta.key, strategy: options.idStrategy, previousTsv });
+  // Shadowed candidates in the no-match report get IDs of their own, so they never change TWL IDs
+  const droppedId = createIdFactory({ bookCode: meta.key, strategy: options.idStrategy });
+  // English match text per row ID, to report rows whose quotes fail to convert
+  const glById = new Map();
+
+  // Selected verses in order
+  const verses = [];
+  const chapterNums = Object.keys(versesByChapter).map(n => parseInt(n, 10)).sort((a, b) => a - b);
+  for (const c of chapterNums) {
+    const verseNums = Object.keys(versesByChapter[c] || {}).map(n => parseInt(n, 10)).sort((a, b) => a - b);
+    for (const v of verseNums) {
+      if (inSelection(selection, c, v)) verses.push([c, v]);
+    }
+  }
+
+  const scanVerse = (c, v) => {
+    const ref = `${c}:${v}`;
+    const text = versesByChapter[c][v] || '';
+    const lines = [];
+    // No-match report rows (objects keyed by NO_MATCH_HEADER)
+    const noMatchRows = [];
+    // Candidates removed by the suppression rules: listed in meta.suppressed, not in the no-match report
+    const suppressed = [];
+    // Shadowed candidates whose article already has a row in the verse: listed in meta.shadowed
+    const shadowed = [];
+    const dropped = [];
+    const suppress = suppressor ? suppressor.forVerse(meta.key, c, v) : null;
+    const byRules = disambiguator.forVerse(meta.key, c);
+    const spans = aligned && aligned[c] ? locateAlignedWords(text, aligned[c][v]) : [];
+    const disambiguate = spans.length ? createAlignmentChooser(spans, articleStrongs, byRules) : byRules;
+    const matches = scanVerseMatches(text, trie, { dropped, suppress, disambiguate });
+    // Only losers for an article the verse has no row for are worth a no-match row
+    const linked = new Set(matches.flatMap(m => m.articles || []));
+    for (const d of dropped) {
+      const candidate = { reference: ref, term: d.term, matchedText: d.matchedText, articles: d.articles, reason: d.reason };
+      if (d.suppressed) {
+        suppressed.push(candidate);
+        continue;
+      }
+      if (d.articles.some(a => linked.has(a))) {
+        shadowed.push(candidate);
+        continue;
+      }
+      noMatchRows.push({
+        Reference: ref,
+        ID: droppedId({ reference: ref, article: d.articles[0] || '', quote: d.matchedText, occurrence: '' }),
+        Tags: tagForArticle(d.articles[0] || ''),
+        TWLink: d.articles[0] ? `rc://*/tw/dict/bible/${d.articles[0]}` : '',
+        GLQuote: d.matchedText,
+        Disambiguation: d.articles.length > 1 ? `(${d.articles.join(', ')})` : '',
+        Reason: `candidate "${d.term}" dropped: ${d.reason}`,
+      });
+    }
+    // Count occurrences per exact matchedText (case-sensitive)
+    const occMap = new Map();
+    for (const m of matches) {
+      const glq = m.matchedText;
+      const occ = (occMap.get(glq) || 0) + 1;
+      occMap.set(glq, occ);
+
+      const primaryArticle = m.preferredArticle || (m.articles && m.articles[0]) || '';
+      const id = nextId({ reference: ref, article: primaryArticle, quote: glq, occurrence: String(occ), glQuote: glq, glOccurrence: String(occ) });
+      glById.set(id, { quote: glq, occurrence: String(occ) });
+      const tag = tagForArticle(primaryArticle);
+      const twLink = primaryArticle ? `rc://*/tw/dict/bible/${primaryArticle}` : '';
+
+      // Variant of: only if beyond plural/-ed/-ing differences
+      const variantOf = rules.allowNoVariant(m.term, glq) ? '' : m.term;
+      // Disambiguation: list all candidate articles for this match
+      const disamb = (m.articles && m.articles.length > 1) ? `(${m.articles.join(', ')})` : '';
+
+      // Set OrigWords/Occurrence equal to GLQuote/GLOccurrence for English-first output
+      lines.push([
+        ref,
+        id,
+        tag,
+        glq,
+        String(occ),
+        twLink,
+        variantOf,
+        disamb,
+        m.rule || '',
+      ].join('\t'));
+    }
+    const draftDiffers = !!publishedVerses && String((publishedVerses[c] || {})[v] || '').trim() !== text.trim();
+    return { reference: ref, chapter: c, verse: v, text, matches, lines, noMatchRows, suppressed, shadowed, draftDiffers };
+  };
+
+  // Convert GL OrigWords of the given row lines back to OL using tsv-quote-converters and add the
+  // GLQuote/GLOccurrence columns; gives { header, rows, noMatchRows } with rows keyed by header.
+  // quoteFetch replaces fetchImpl for the converters (e.g. memoized across chunks).
+  const convertChunk = async (lines, { quoteFetch = fetchImpl } = {}) => {
+    let matchedTsv = [header.join('\t'), ...lines].join('\n');
+    try {
+      if (!sources.ultLink) throw new Error('No ULT repository to align quotes against');
+      const conv = await withConverterLog(converterLog, () => withGlobalFetch(quoteFetch, () => convertGLQuotes2OLQuotes({
+        bibleLink: sources.ultLink,
+        bookCode: String(meta.key).toLowerCase(),
+        dcsUrl: sources.dcsHost,
+        tsvContent: matchedTsv,
+        trySeparatorsAndOccurrences: true,
+        quiet,
+      })));
+      if (conv && typeof conv.output === 'string' && conv.output.length) {
+        matchedTsv = conv.output;
+      }
+    } catch (e) {
+      // If conversion fails (e.g., no network), fall back to unconverted TSV
+    }
+
+    // Now add the actual GLQuote/GLOccurrence by calling addGLQuoteCols
+    try {
+      if (!sources.ultLink) throw new Error('No ULT repository to align quotes against');
+      const result = await withConverterLog(converterLog, () => withGlobalFetch(quoteFetch, () => addGLQuoteCols({
+        bibleLinks: [sources.ultLink],
+        bookCode: String(meta.key).toLowerCase(),
+        dcsUrl: sources.dcsHost,
+        tsvContent: matchedTsv,
+        trySeparatorsAndOccurrences: true,
+        usePreviousGLQuotes: true,
+        quiet,
+      })));
+      if (result && typeof result.output === 'string' && result.output.length) {
+        matchedTsv = result.output;
+        // Reorder columns: move cols[5] and cols[6] to after cols[7] for every line
+        try {
+          const lines = String(matchedTsv || '').split('\n');
+          for (let i = 0; i < lines.length; i++) {
+            const cols = lines[i].split('\t');
+            // require at least 8 columns so cols[7] exists
+            if (cols.length >= 8) {
+              const removed = cols.splice(5, 2); // remove cols[5] and cols[6]
+              // after removal, original cols[7] is at index 5, so insert after it at index 6
+              const insertIndex = Math.min(6, cols.length);
+              cols.splice(insertIndex, 0, ...removed);
+              lines[i] = cols.join('\t');
+            }
+          }
+          matchedTsv = lines.join('\n');
+        } catch (err) {
+          // leave matchedTsv unchanged on error
+        }
+      }
+    } catch (e) {
       try {
         const lines = String(matchedTsv || '').split('\n');
-        for (let i = 0; i < lines.length; i++) {
-          const cols = lines[i].split('\t');
-          // require at least 8 columns so cols[7] exists
-          if (cols.length >= 8) {
-            const removed = cols.splice(5, 2); // remove cols[5] and cols[6]
-            // after removal, original cols[7] is at index 5, so insert after it at index 6
-            const insertIndex = Math.min(6, cols.length);
-            cols.splice(insertIndex, 0, ...removed);
-            lines[i] = cols.join('\t');
+        if (lines.length > 0) {
+          lines[0] = TWL_HEADER.join('\t');
+          const out = [lines[0]];
+          for (let i = 1; i < lines.length; i++) {
+            const cols = lines[i].split('\t');
+            const g = (idx) => (cols[idx] !== undefined ? cols[idx] : '');
+            const newRow = [
+              g(0), // Reference
+              g(1), // ID
+              g(2), // Tags
+              g(3), // OrigWords
+              g(4), // Occurrence
+              g(5), // TWLink
+              g(3), // GLQuote (copy of OrigWords)
+              g(4), // GLOccurrence (copy of Occurrence)
+              g(6), // Variant of
+              g(7), // Disambiguation
+              g(8), // Disambiguation Rule
+            ].join('\t');
+            out.push(newRow);
           }
+          matchedTsv = out.join('\n');
         }
-        matchedTsv = lines.join('\n');
       } catch (err) {
-        // leave matchedTsv unchanged on error
+        // leave matchedTsv unchanged on any transformation error
       }
     }
-  } catch (e) {
+
+    // Move rows whose quotes could not be aligned (marked QUOTE_NOT_FOUND by tsv-quote-converters)
+    // from the TWL to the no-match report
+    const parsed = parseTsv(matchedTsv);
+    const noMatchRows = [];
+    const rows = parsed.rows.filter(row => {
+      const olMissing = String(row.OrigWords || '').startsWith('QUOTE_NOT_FOUND');
+      const glMissing = String(row.GLQuote || '').startsWith('QUOTE_NOT_FOUND');
+      if (!olMissing && !glMissing) return true;
+      const gl = glById.get(row.ID) || { quote: '', occurrence: '' };
+      noMatchRows.push({
+        ...row,
+        OrigWords: olMissing ? '' : row.OrigWords,
+        Occurrence: olMissing ? '' : row.Occurrence,
+        GLQuote: gl.quote,
+        GLOccurrence: gl.occurrence,
+        Reason: olMissing ? 'original-language quote not found' : 'GLQuote not found in ULT',
+      });
+      return false;
+    });
+    return { header: parsed.header, rows, noMatchRows };
+  };
+
+  return { meta, ultUsfm, versesByChapter, verses, scanVerse, convertChunk, draftCompared: !!publishedVerses };
+}
+
+// Scan verses chunkSize at a time, converting each chunk's quotes before yielding its verses
+async function* englishBatches(english, chunkSize, convertOptions) {
+  for (let i = 0; i < english.verses.length; i += chunkSize) {
+    const scanned = english.verses.slice(i, i + chunkSize).map(([c, v]) => english.scanVerse(c, v));
+    const { header, rows, noMatchRows } = await english.convertChunk(scanned.flatMap(s => s.lines), convertOptions);
+    const byReference = new Map(scanned.map(s => [s.reference, { rows: [], noMatchRows: s.noMatchRows, suppressed: s.suppressed, shadowed: s.shadowed, draftDiffers: s.draftDiffers }]));
+    const last = byReference.get(scanned[scanned.length - 1].reference);
+    for (const row of rows) (byReference.get(row.Reference) || last).rows.push(row);
+    for (const row of noMatchRows) (byReference.get(row.Reference) || last).noMatchRows.push(row);
+    for (const s of scanned) {
+      yield { reference: s.reference, chapter: s.chapter, verse: s.verse, header, ...byReference.get(s.reference) };
+    }
+  }
+}
+
+// English-first generation of one book, converted as one chunk and merged into options.merge if given
+async function generateEnglishBook(book, options) {
+  const english = await prepareEnglishBook(book, options);
+  let header = TWL_HEADER;
+  const rows = [];
+  const noMatchRows = [];
+  const suppressed = [];
+  const shadowed = [];
+  // Rows of draft verses worded differently in the published ULT their quotes were converted against
+  const draftMismatches = english.draftCompared ? [] : null;
+  for await (const batch of englishBatches(english, Infinity)) {
+    header = batch.header;
+    rows.push(...batch.rows);
+    noMatchRows.push(...batch.noMatchRows);
+    suppressed.push(...batch.suppressed);
+    shadowed.push(...batch.shadowed);
+    if (batch.draftDiffers) {
+      draftMismatches.push(...batch.rows.map(row => ({ reference: row.Reference, id: row.ID, twLink: row.TWLink, glQuote: row.GLQuote })));
+    }
+  }
+  const matchedTsv = formatTsv(header, rows);
+
+  noMatchRows.sort((a, b) => compareReferences(a.Reference, b.Reference));
+  const noMatchTsv = formatTsv(NO_MATCH_HEADER, noMatchRows);
+  if (book.mergeTsv) return { ...await mergeResult({ matchedTsv, noMatchTsv }, book, english.meta, options, { versesByChapter: english.versesByChapter }), suppressed, shadowed, draftMismatches };
+  return { matchedTsv, noMatchTsv, suppressed, shadowed, draftMismatches };
+}
+
+// Structured rows (see utils/rows.js) and run metadata next to the TSV strings
+function describeResult({ suppressed = [], shadowed = [], draftMismatches = null, ...result }, book, options, started) {
+  const { rules, sources } = book.ctx;
+  const rows = twlRowsFromTsv(result.matchedTsv);
+  const noMatchRows = twlRowsFromTsv(result.noMatchTsv);
+  const matched = parseTsv(result.matchedTsv);
+  const header = tsvHeader(matched.header, options);
+  const used = { dcsHost: sources.dcsHost, ultRepo: sources.ultRepo, twRepo: sources.twRepo, ref: sources.ref || 'master' };
+  if (book.mode === 'strongs' && BibleBookData[book.key]) Object.assign(used, resolveOlSource(BibleBookData[book.key].testament, options));
+  return {
+    ...result,
+    matchedTsv: header.length === matched.header.length ? result.matchedTsv : formatTsv(header, matched.rows),
+    rows,
+    noMatchRows,
+    meta: {
+      book: book.key,
+      mode: book.mode,
+      language: rules.code,
+      range: book.selection ? book.selection.label : null,
+      sources: used,
+      idStrategy: options.idStrategy || 'stable',
+      useAlignments: options.useAlignments !== false,
+      merged: !!book.mergeTsv,
+      generatedAt: new Date(started).toISOString(),
+      ms: Date.now() - started,
+      rowCount: rows.length,
+      noMatchCount: noMatchRows.length,
+      suppressed,
+      shadowed,
+      draftMismatches,
+    },
+  };
+}
+
+// Generate the TWL of one book. Returns { matchedTsv, noMatchTsv, rows, noMatchRows, meta, validation }
+// (plus mergeReport with options.merge): the TWL and no-match report as TSV text and as
+// structured rows, the book, mode, language, sources, counts and timing of the run, the candidates
+// removed by the suppression rules (meta.suppressed: [{ reference, term, matchedText, articles, reason }]),
+// the candidates that lost to another match for an article the verse already has a row for (meta.shadowed,
+// same shape; losers for articles without a row in the verse are in the no-match report),
+// with options.usfm the rows of draft verses that differ from the published ULT used for the quotes
+// (meta.draftMismatches: [{ reference, id, twLink, glQuote }], null when not compared), and the
+// errors and warnings of validateTwl on the TWL (unless options.validate is false).
+// The TSV gets the Disambiguation Rule column only with options.ruleColumn; the rows always have it.
+// options.includeVerses adds verses, the ULT text as { chapter: { verse: text } } (for renderTwlReport);
+// options.stats adds stats, the coverage statistics of twlStats (see utils/stats.js).
+export async function generateTwlByBook(bookCode, options = {}) {
+  const started = Date.now();
+  const book = await prepareBook(bookCode, options);
+  const result = book.mode === 'strongs' ? await generateStrongsBook(book, options) : await generateEnglishBook(book, options);
+  const described = describeResult(result, book, options, started);
+  if (options.validate !== false) {
+    described.validation = validateTwl(result.matchedTsv, { book: book.key, articles: await book.ctx.articleIds() });
+  }
+  if (options.includeVerses) described.verses = book.ultVerses || {};
+  if (options.stats) {
+    // Zero-match verses are counted among the selected verses of the ULT
+    const verses = {};
+    for (const [c, chapter] of Object.entries(book.ultVerses || {})) {
+      for (const v of Object.keys(chapter)) {
+        if (inSelection(book.selection, c, v)) (verses[c] = verses[c] || {})[v] = chapter[v];
+      }
+    }
+    described.stats = twlStats(described, { book: book.key, verses: book.ultVerses ? verses : null, articles: await book.ctx.articleIds() });
+  }
+  return described;
+}
+
+// Stream a book's TWL verse by verse: yields { reference, chapter, verse, header, rows, noMatchRows, suppressed, shadowed }
+// for every scanned verse, rows being objects keyed by column name (no-match rows by the no-match
+// columns), suppressed and shadowed the candidates of meta.suppressed and meta.shadowed,
+// draftDiffers whether a draft verse (options.usfm) is worded differently in the published ULT, and header the TSV columns (rows also carry the Disambiguation Rule without options.ruleColumn).
+// Verses are scanned and their quotes converted options.chunkSize (default 20) verses at a time, so
+// the first rows arrive long before the book is done. Takes the options of generateTwlByBook except
+// merge/mergeFile; in 'strongs' mode the book is generated first and then yielded verse by verse.
+export async function* streamTwlByBook(bookCode, options = {}) {
+  if (options.merge || options.mergeFile) throw new Error('merge cannot be combined with streaming; use generateTwlByBook');
+  const book = await prepareBook(bookCode, options);
+
+  if (book.mode === 'strongs') {
+    const result = await generateStrongsBook(book, options);
+    const matched = parseTsv(result.matchedTsv);
+    const noMatch = parseTsv(result.noMatchTsv);
+    const byReference = new Map();
+    const entry = (ref) => byReference.get(ref) || byReference.set(ref, { rows: [], noMatchRows: [], suppressed: [], shadowed: [], draftDiffers: false }).get(ref);
+    matched.rows.forEach(row => entry(row.Reference).rows.push(row));
+    noMatch.rows.forEach(row => entry(row.Reference).noMatchRows.push(row));
+    const refs = Array.from(byReference.keys()).sort(compareReferences);
+    for (const ref of refs) {
+      const [chapter, verse] = ref.split(':').map(p => parseInt(p, 10));
+      yield { reference: ref, chapter, verse, header: matched.header, ...byReference.get(ref) };
+    }
+    return;
+  }
+
+  const english = await prepareEnglishBook(book, options);
+  const chunkSize = Math.max(1, parseInt(options.chunkSize, 10) || 20);
+  // tsv-quote-converters downloads the ULT and original-language text on every call;
+  // the context's memoized fetch keeps those downloads for the chunks after the first
+  const quoteFetch = english.verses.length > chunkSize ? book.ctx.quoteFetch() : book.ctx.fetchImpl;
+  for await (const batch of englishBatches(english, chunkSize, { quoteFetch })) {
+    yield { ...batch, header: tsvHeader(batch.header, options) };
+  }
+}
+
+// Write the book's ULT as USFM with every English-first match wrapped in a TW word marker,
+// \w word|link-href="…/tw/dict/bible/<article>"\w* (see utils/usfmExport.js). No quote conversion
+// is needed, so nothing is downloaded besides the ULT and TW. Takes the options of
+// generateTwlByBook except mode and merge. Returns { usfm, tagged, skipped } where skipped lists
+// the matches that overlap another or cross a USFM marker, with the reason.
+export async function generateTaggedUsfm(bookCode, options = {}) {
+  if (options.mode && options.mode !== 'english') throw new Error('Tagged USFM is only generated in english mode');
+  const book = await prepareBook(bookCode, { ...options, merge: undefined, mergeFile: undefined });
+  const english = await prepareEnglishBook(book, options);
+  const verses = {};
+  for (const [c, v] of english.verses) {
+    const { text, matches } = english.scanVerse(c, v);
+    if (!verses[c]) verses[c] = {};
+    verses[c][v] = { text, matches };
+  }
+  const { exportTaggedUsfm } = await import('./utils/usfmExport.js');
+  return exportTaggedUsfm(english.ultUsfm, verses);
+}
+
+// File name of the batch manifest written to options.outDir
+export const BATCH_MANIFEST = 'twl-manifest.json';
+
+// Hash of every setting that changes a book's output: the manifest settings (except concurrency),
+// the other generation options and the content of the suppression, term and disambiguation
+// configs and of an in-memory TW archive. A resumed batch only reuses books with the same hash.
+async function settingsFingerprint(settings, options) {
+  const { concurrency, ...shown } = settings;
+  const config = async (value, file, fileOption, textOption) => {
+    const read = await readConfigOption(value, file, fileOption, textOption);
+    return read && typeof read === 'object' ? JSON.stringify(read) : read;
+  };
+  const twSource = options.twSource;
+  const parts = {
+    ...shown,
+    olRepo: options.olRepo || '',
+    olRef: options.olRef || '',
+    idStrategy: options.idStrategy || 'stable',
+    useAlignments: options.useAlignments !== false,
+    useCompromise: !!options.useCompromise,
+    ruleColumn: !!options.ruleColumn,
+    suppress: await config(options.suppress, options.suppressFile, 'suppressFile', 'suppress'),
+    terms: await config(options.terms, options.termsFile, 'termsFile', 'terms'),
+    disambiguation: await config(options.disambiguation, options.disambiguationFile, 'disambiguationFile', 'disambiguation'),
+    twSource: !twSource ? '' : typeof twSource === 'string' ? twSource
+      : await contentHash(typeof Blob !== 'undefined' && twSource instanceof Blob ? await twSource.arrayBuffer() : twSource),
+  };
+  return contentHash(new TextEncoder().encode(JSON.stringify(parts)));
+}
+
+// Hash of one book's own inputs: the content of the TWLs its IDs are reused from and it is merged
+// into (options.previousTsv, merge, mergeBase or their files) and the other options bookOptions
+// gives it. Stored in the manifest entry; a resumed book is regenerated when it differs.
+async function bookInputsFingerprint(options, extra) {
+  const { previousTsv, previousTsvFile, merge, mergeFile, mergeBase, mergeBaseFile, ...rest } = extra;
+  const parts = {
+    previousTsv: await readPreviousTsv(options),
+    merge: await readTextOption(options.merge, options.mergeFile, 'mergeFile', 'merge'),
+    mergeBase: await readTextOption(options.mergeBase, options.mergeBaseFile, 'mergeBaseFile', 'mergeBase'),
+    ...rest,
+  };
+  return contentHash(new TextEncoder().encode(JSON.stringify(parts)));
+}
+
+// Generate TWLs for many books (default: every book) with one shared context, so the TW terms,
+// trie and articles are loaded once, running at most options.concurrency (default 2) books at a time.
+//   options.outDir: write <book>.twl.tsv, <book>.no-match.twl.tsv and the manifest there (Node.js only)
+//   options.format: 'tsv' (default), 'json' (<book>.twl.json) or 'jsonl' files, see utils/rows.js
+//   options.resume: with outDir, skip books the existing manifest lists as ok, when it was written
+//     with the same settings (manifest.settings.fingerprint; otherwise every book is regenerated)
+//     and the book's own inputs are unchanged (entry.inputs, e.g. its merge or reuse-ids TWL)
+//   options.bookOptions(book): extra options for one book, e.g. { previousTsvFile, mergeFile }
+//   options.onBook(entry, result): called as each book finishes or is skipped
+// Other options are those of generateTwlByBook. A failed book is recorded and the batch goes on.
+// Returns { manifest, results }; results holds { book: generateTwlByBook result } only without outDir.
+export async function generateTwlBatch(bookCodes, options = {}) {
+  const { outDir, resume, bookOptions, onBook, concurrency, format = 'tsv', ...bookDefaults } = options;
+  if (!OUTPUT_FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  const bibleData = await readBooks();
+  const books = (bookCodes && bookCodes.length ? bookCodes : Object.keys(bibleData)).map(code => {
+    const meta = findBookMeta(bibleData, String(code));
+    if (!meta) throw new Error(`Unknown book code: ${code}`);
+    return meta.key.toLowerCase();
+  });
+  const context = bookDefaults.context || await createTwlContext(bookDefaults);
+
+  let fs = null;
+  let manifestPath = '';
+  let previous = null;
+  const outFile = (name) => `${String(outDir).replace(/[\\/]+$/, '')}/${name}`;
+  if (outDir) {
+    if (isBrowser) throw new Error('outDir is only supported in Node.js; use the returned results or onBook instead');
+    fs = await import('node:fs/promises');
+    await fs.mkdir(outDir, { recursive: true });
+    manifestPath = outFile(BATCH_MANIFEST);
+    if (resume) {
+      try {
+        previous = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      } catch (e) {
+        previous = null; // nothing to resume
+      }
+    }
+  }
+
+  const startedAt = Date.now();
+  const manifest = {
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: '',
+    ms: 0,
+    settings: {
+      language: context.rules.code,
+      mode: bookDefaults.mode || 'english',
+      dcsHost: context.sources.dcsHost,
+      ultRepo: context.sources.ultRepo,
+      twRepo: context.sources.twRepo,
+      ref: context.sources.ref || 'master',
+      concurrency: Math.max(1, concurrency || 2),
+      format,
+    },
+    summary: {},
+    books: {},
+  };
+  manifest.settings.fingerprint = await settingsFingerprint(manifest.settings, bookDefaults);
+  // Books of a run with other settings are not reused: the batch would mix sources or rules
+  if (previous && (!previous.settings || previous.settings.fingerprint !== manifest.settings.fingerprint)) {
+    manifest.settingsChanged = true;
+    previous = null;
+  }
+  const entries = {};
+  const results = {};
+
+  // Book order in the manifest follows the requested order, not completion order
+  const refreshManifest = () => {
+    manifest.books = Object.fromEntries(books.filter(b => entries[b]).map(b => [b, entries[b]]));
+    const list = Object.values(manifest.books);
+    manifest.summary = {
+      books: books.length,
+      ok: list.filter(e => e.status === 'ok').length,
+      failed: list.filter(e => e.status === 'error').length,
+      resumed: list.filter(e => e.resumed).length,
+      rows: list.reduce((n, e) => n + (e.rows || 0), 0),
+      noMatchRows: list.reduce((n, e) => n + (e.noMatchRows || 0), 0),
+    };
+  };
+  // Manifest writes are chained so books finishing together never interleave them
+  let writing = Promise.resolve();
+  const saveManifest = () => {
+    refreshManifest();
+    if (fs) {
+      const text = JSON.stringify(manifest, null, 2) + '\n';
+      writing = writing.then(() => fs.writeFile(manifestPath, text, 'utf8'));
+    }
+    return writing;
+  };
+  const filesExist = async (files = []) => {
     try {
-      const lines = String(matchedTsv || '').split('\n');
-      if (lines.length > 0) {
-        lines[0] = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'GLQuote', 'GLOccurrence', 'Variant of', 'Disambiguation'].join('\t');
-        const out = [lines[0]];
-        for (let i = 1; i < lines.length; i++) {
-          const cols = lines[i].split('\t');
-          const g = (idx) => (cols[idx] !== undefined ? cols[idx] : '');
-          const newRow = [
-            g(0), // Reference
-            g(1), // ID
-            g(2), // Tags
-            g(3), // OrigWords
-            g(4), // Occurrence
-            g(5), // TWLink
-            g(3), // GLQuote (copy of OrigWords)
-            g(4), // GLOccurrence (copy of Occurrence)
-            g(6), // Variant of
-            g(7), // Disambiguation
-          ].join('\t');
-          out.push(newRow);
+      for (const file of files) await fs.access(outFile(file));
+      return files.length > 0;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  const queue = books.slice();
+  const worker = async () => {
+    while (queue.length) {
+      const book = queue.shift();
+      const old = previous && previous.books ? previous.books[book] : null;
+      const files = twlFileNames(book, format);
+      let extra;
+      let inputs;
+      try {
+        extra = bookOptions ? await bookOptions(book) : {};
+        inputs = await bookInputsFingerprint({ ...bookDefaults, ...extra }, extra);
+      } catch (err) {
+        entries[book] = { status: 'error', error: err.message || String(err), ms: 0 };
+        await saveManifest();
+        if (onBook) await onBook({ book, ...entries[book] }, null);
+        continue;
+      }
+      if (old && old.status === 'ok' && old.inputs === inputs && String(old.files) === String(files) && await filesExist(old.files)) {
+        entries[book] = { ...old, resumed: true };
+        await saveManifest();
+        if (onBook) await onBook({ book, ...entries[book] }, null);
+        continue;
+      }
+
+      const started = Date.now();
+      let result = null;
+      let entry;
+      try {
+        result = await generateTwlByBook(book, { ...bookDefaults, ...extra, context });
+        entry = { status: 'ok', rows: result.rows.length, noMatchRows: result.noMatchRows.length, inputs, ms: Date.now() - started };
+        if (result.validation) entry.validation = { errors: result.validation.errors.length, warnings: result.validation.warnings.length };
+        if (result.mergeReport) {
+          const report = result.mergeReport;
+          entry.merge = { kept: report.kept, added: report.added.length, stale: report.stale.length, ignored: report.ignored.length, unchecked: report.unchecked };
         }
-        matchedTsv = out.join('\n');
+        if (fs) {
+          const { matched, noMatch } = serializeTwlResult(result, format);
+          entry.files = files;
+          await fs.writeFile(outFile(files[0]), matched, 'utf8');
+          if (files[1]) await fs.writeFile(outFile(files[1]), noMatch, 'utf8');
+        } else {
+          results[book] = result;
+        }
+      } catch (err) {
+        entry = { status: 'error', error: err.message || String(err), ms: Date.now() - started };
       }
-    } catch (err) {
-      // leave matchedTsv unchanged on any transformation error
+      entries[book] = entry;
+      await saveManifest();
+      if (onBook) await onBook({ book, ...entry }, result);
     }
-  }
+  };
+  await Promise.all(Array.from({ length: Math.min(manifest.settings.concurrency, books.length) }, worker));
+
+  manifest.finishedAt = new Date().toISOString();
+  manifest.ms = Date.now() - startedAt;
+  await saveManifest();
+  return { manifest, results };
+}
 
-  const noMatchHeader = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'GLQuote', 'GLOccurrence', 'Disambiguation'];
-  const noMatchTsv = [noMatchHeader.join('\t')].join('\n');
-  return { matchedTsv, noMatchTsv };
+// Generate TWLs from USFM text already in hand (e.g. an unpublished ULT draft).
+// bookCode may be empty, in which case it is read from the \id line.
+export async function generateTWLWithUsfm(bookCode, usfmContent, options = {}) {
+  if (!usfmContent) throw new Error('USFM content is required');
+  return generateTwlByBook(bookCode || '', { ...options, usfm: usfmContent });
 }
+
+// Load every TW article as a structured model ({ title, terms, definition, seeAlso, references, strongs }),
+// keyed by article id (e.g. "kt/god"). Takes the same source, cache and fetch options as generateTwlByBook.
+export async function loadTwArticles(options = {}) {
+  const rules = getLanguageRules(options.language);
+  const sources = resolveSources(options, rules.defaultRepos);
+  const { generateTWArticles } = await import('./utils/zipProcessor.js');
+  return await generateTWArticles(sources.dcsHost, {
+    twSource: options.twSource,
+    twRepo: sources.twRepo,
+    ref: sources.ref,
+    language: rules.code,
+    cache: createCache(options.cache),
+    refresh: !!options.refresh,
+    fetch: options.fetch ? resolveFetch(options) : undefined,
+    log: options.log || (options.quiet ? () => {} : console.log),
+  });
+}
+
+export { parseTwArticle } from './utils/twArticleParser.js';
+export { diffTwl, formatTwlDiff } from './utils/diff.js';
+export { evaluateTwl, formatEvaluation } from './utils/evaluate.js';
+export { parseSuppressionConfig } from './utils/suppression.js';
+export { parseTermOverlay, applyTermOverlay } from './utils/termOverlay.js';
+export { parseDisambiguationRules, DEFAULT_DISAMBIGUATION_RULES } from './utils/disambiguation.js';
+export { parseReferenceSelection } from './utils/references.js';
+export { validateTwl, formatValidation } from './utils/validate.js';
+export { toTwlRow, twlRowsFromTsv, serializeTwlResult, twlFileNames, OUTPUT_FORMATS } from './utils/rows.js';
+export { exportTaggedUsfm } from './utils/usfmExport.js';
+export { renderTwlReport } from './utils/htmlReport.js';
+export { twlStats, combineTwlStats, formatStatsMarkdown } from './utils/stats.js';
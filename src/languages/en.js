@@ -0,0 +1,157 @@
+/**
+ * English rules for Translation Words term handling
+ *
+ * Used when building the term map (leading words stripped from TW header terms),
+ * the term trie (morphological variants) and the "Variant of" decision.
+ */
+import { Inflectors } from 'en-inflectors';
+
+export const code = 'en';
+export const name = 'English';
+
+// Default DCS repositories for this language
+export const defaultRepos = { ultRepo: 'unfoldingWord/en_ult', twRepo: 'unfoldingWord/en_tw' };
+
+// Leading articles, demonstratives, and possessive pronouns (allow repeated prefixes)
+export const leadingWords = /^(?:(?:a|an|the|this|that|these|those|my|your|his|her|its|our|their)\s+)+/i;
+
+/**
+ * Generate morphological variants of a term
+ */
+export function generateVariants(term, isName = false) {
+  const variants = new Set([term]);
+
+  const isNoun = ['horn', 'mare', 'steed', 'horse', 'doe', 'deer', 'father', 'Father', 'cross', 'well'].includes(term) || isName;
+  const doNotPluralize = ['doe'].includes(term);
+  const doNotDepluralize = ['kids'].includes(term) || isName;
+
+  // Handle pluralization - simple 's' removal (but not for words ending in 'ss')
+  if (term.endsWith('s') && term.length > 2 && !term.endsWith('ss') && !term.endsWith('es') && !doNotDepluralize) {
+    variants.add(term.slice(0, -1)); // dogs -> dog (but not does -> doe)
+  } else if (!doNotPluralize) {
+    variants.add(term + 's'); // dog -> dogs
+  }
+
+  // Handle 'es' endings - but only for legitimate plural patterns
+  if (term.endsWith('es') && term.length > 4 && !doNotDepluralize) {
+    const base = term.slice(0, -2);
+    // Only if the base word would naturally take 'es' plural
+    if (/[sxz]$|[cs]h$/.test(base)) {
+      variants.add(base); // horses -> horse, churches -> church
+    }
+  } else if (term.endsWith('e') && !doNotPluralize) {
+    variants.add(term + 's'); // horse -> horses
+  } else if (/[sxz]$|[cs]h$/.test(term) && !doNotPluralize) {
+    variants.add(term + 'es'); // church -> churches
+  }
+
+  // Handle 'ies' endings for words ending in 'y'
+  if (term.endsWith('ies') && term.length > 4 && !doNotDepluralize) {
+    variants.add(term.slice(0, -3) + 'y'); // cities -> city
+  } else if (term.endsWith('y') && term.length > 2 && !/[aeiou]y$/.test(term) && !doNotPluralize) {
+    variants.add(term.slice(0, -1) + 'ies'); // city -> cities
+  }
+
+  // // Handle possessive forms -- // Commented out since we use curly quotes
+  // variants.add(term + "'s");
+  // variants.add(term + "'");
+  // if (term.endsWith('s')) {
+  //   variants.add(term + "'");
+  // }
+
+  // if (!isNoun) {
+  //   // Handle -ed forms - but only for legitimate verb patterns
+  //   if (term.endsWith('ed') && term.length > 4) {
+  //     const base = term.slice(0, -2);
+  //     // Only create base form if it looks like a legitimate verb stem
+  //     if (base.length > 2) {
+  //       variants.add(base); // walked -> walk
+  //     }
+  //   }
+
+  // // Handle -ing forms
+  // if (term.endsWith('ing') && term.length > 5) {
+  //   const base = term.slice(0, -3);
+  //   if (base.length > 2) {
+  //     variants.add(base); // walking -> walk
+  //   }
+  // }
+
+
+  if (!isNoun) {
+    // Double consonant handling for -ed/-ing
+    if (/[bcdfghjklmnpqrstvwxyz][aeiou][bcdfghjklmnpqrstvwxyz]$/.test(term)) {
+      variants.add(term + term.slice(-1) + 'ed'); // stop -> stopped
+      variants.add(term + term.slice(-1) + 'ing'); // stop -> stopping
+    }
+
+    // Regular -ed/-ing addition
+    if (!term.endsWith('e')) {
+      variants.add(term + 'ed');
+      variants.add(term + 'ing');
+    } else {
+      variants.add(term.slice(0, -1) + 'ed'); // love -> loved
+      variants.add(term.slice(0, -1) + 'ing'); // love -> loving
+    }
+  }
+
+  for (const variant of Array.from(variants)) {
+    if (variant.length > 0 && variant[0] === variant[0].toLowerCase() && /[a-z]/.test(variant[0])) {
+      variants.add(variant[0].toUpperCase() + variant.slice(1));
+    }
+  }
+
+  return Array.from(variants);
+}
+
+// Helpers for Variant of decision (allow only plural/-ed/-ing without marking variant)
+const pluralizeWord = (w) => {
+  if (/[^aeiou]y$/i.test(w)) return w.replace(/y$/i, 'ies');
+  if (/(s|x|z|ch|sh)$/i.test(w)) return w + 'es';
+  if (/f$/i.test(w) && !/(roof|belief|chief|proof)$/i.test(w)) return w.replace(/f$/i, 'ves');
+  if (/fe$/i.test(w)) return w.replace(/fe$/i, 'ves');
+  if (/o$/i.test(w)) return w + 'es';
+  return w + 's';
+};
+const isVowel = (ch) => /[aeiou]/i.test(ch);
+const isConsonant = (ch) => /[a-z]/i.test(ch) && !isVowel(ch);
+const endsWithCVC = (w) => w.length >= 3 && isConsonant(w[w.length - 3]) && isVowel(w[w.length - 2]) && isConsonant(w[w.length - 1]) && !/[wxy]/i.test(w[w.length - 1]);
+const edForm = (w) => {
+  if (/e$/i.test(w)) return w + 'd';
+  if (/[^aeiou]y$/i.test(w)) return w.replace(/y$/i, 'ied');
+  // Do not double the final consonant for words ending in "er" (e.g., gather -> gathered)
+  const lastCh = w[w.length - 1];
+  if (endsWithCVC(w) && !/(?:er|en|or|on|al)$/i.test(w)) return w + lastCh + 'ed';
+  return w + 'ed';
+};
+const ingForm = (w) => {
+  if (/ie$/i.test(w)) return w.replace(/ie$/i, 'ying');
+  if (/ee$/i.test(w)) return w + 'ing';
+  if (/e$/i.test(w)) return w.replace(/e$/i, 'ing');
+  const lastCh = w[w.length - 1];
+  if (endsWithCVC(w) && !/(?:er|en|or|on|al)$/i.test(w)) return w + lastCh + 'ing';
+  return w + 'ing';
+};
+
+/**
+ * True when match differs from base only by plural/-ed/-ing (no "Variant of" needed)
+ */
+export function allowNoVariant(base, match) {
+  const b = String(base || '');
+  const m = String(match || '');
+  if (!b || !m) return true;
+  if (b.toLowerCase() === m.toLowerCase()) return true;
+  const parts = b.trim().split(/\s+/);
+  const head = parts.length > 1 ? parts.slice(0, -1).join(' ') + ' ' : '';
+  const last = parts[parts.length - 1];
+  const allowed = new Set([
+    head + pluralizeWord(last),
+    head + new Inflectors(last).toPlural(),
+    head + new Inflectors(last).toSingular(),
+    head + edForm(last),
+    head + new Inflectors(last).toPast(),
+    head + ingForm(last),
+    head + new Inflectors(last).toGerund(),
+  ].map(x => x.toLowerCase()));
+  return allowed.has(m.toLowerCase());
+}
@@ -0,0 +1,74 @@
+/**
+ * Latin American Spanish rules for Translation Words term handling
+ *
+ * Regular noun/adjective plurals and regular -ar/-er/-ir verb forms only;
+ * irregular forms are matched when the TW header lists them.
+ */
+
+export const code = 'es-419';
+export const name = 'Español (Latinoamérica)';
+
+// No default DCS repositories: pass ultRepo/twRepo (or local sources)
+export const defaultRepos = {};
+
+// Leading articles, demonstratives, and possessives (allow repeated prefixes)
+export const leadingWords = /^(?:(?:el|la|los|las|lo|un|una|unos|unas|este|esta|estos|estas|ese|esa|esos|esas|mi|mis|tu|tus|su|sus|nuestro|nuestra|nuestros|nuestras)\s+)+/iu;
+
+const stripAccents = (w) => w.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+
+const pluralizeWord = (w) => {
+  if (/z$/i.test(w)) return w.replace(/z$/i, 'ces'); // luz -> luces
+  if (/[áéíóú]n$/i.test(w)) return stripAccents(w) + 'es'; // nación -> naciones
+  if (/[aeiouáéó]$/i.test(w)) return w + 's'; // casa -> casas
+  if (/s$/i.test(w) && w.length > 4) return w; // crisis -> crisis
+  return w + 'es'; // señor -> señores
+};
+
+const singularForms = (w) => {
+  const out = [];
+  if (/ces$/i.test(w)) out.push(w.replace(/ces$/i, 'z'));
+  if (/es$/i.test(w) && w.length > 4) out.push(w.slice(0, -2));
+  if (/s$/i.test(w) && w.length > 3) out.push(w.slice(0, -1));
+  return out;
+};
+
+const verbForms = (w) => {
+  const m = w.match(/^(.+)(ar|er|ir)$/i);
+  if (!m || m[1].length < 2) return [];
+  const [, stem, ending] = m;
+  if (ending.toLowerCase() === 'ar') {
+    return ['a', 'an', 'ó', 'aron', 'aba', 'aban', 'ado', 'ada', 'ados', 'adas', 'ando', 'ará', 'arán'].map(s => stem + s);
+  }
+  return ['e', 'en', 'ió', 'ieron', 'ía', 'ían', 'ido', 'ida', 'idos', 'idas', 'iendo', ending.toLowerCase() + 'á', ending.toLowerCase() + 'án'].map(s => stem + s);
+};
+
+/**
+ * Generate morphological variants of a term
+ */
+export function generateVariants(term, isName = false) {
+  const variants = new Set([term]);
+  if (!isName) {
+    variants.add(pluralizeWord(term));
+    for (const s of singularForms(term)) variants.add(s);
+    for (const v of verbForms(term)) variants.add(v);
+  }
+  for (const variant of Array.from(variants)) {
+    if (/^\p{Ll}/u.test(variant)) variants.add(variant[0].toUpperCase() + variant.slice(1));
+  }
+  return Array.from(variants);
+}
+
+/**
+ * True when match differs from base only by number or a regular verb ending (no "Variant of" needed)
+ */
+export function allowNoVariant(base, match) {
+  const b = String(base || '');
+  const m = String(match || '');
+  if (!b || !m) return true;
+  if (b.toLowerCase() === m.toLowerCase()) return true;
+  const parts = b.trim().split(/\s+/);
+  const head = parts.length > 1 ? parts.slice(0, -1).join(' ') + ' ' : '';
+  const last = parts[parts.length - 1];
+  const allowed = new Set([pluralizeWord(last), ...singularForms(last), ...verbForms(last)].map(x => (head + x).toLowerCase()));
+  return allowed.has(m.toLowerCase());
+}
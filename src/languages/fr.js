@@ -0,0 +1,71 @@
+/**
+ * French rules for Translation Words term handling
+ *
+ * Regular noun/adjective plurals and regular -er/-ir verb forms only;
+ * irregular forms are matched when the TW header lists them.
+ */
+
+export const code = 'fr';
+export const name = 'Français';
+
+// No default DCS repositories: pass ultRepo/twRepo (or local sources)
+export const defaultRepos = {};
+
+// Leading articles, demonstratives, and possessives, including elided l' (allow repeated prefixes)
+export const leadingWords = /^(?:(?:l['’]|(?:le|la|les|un|une|des|du|ce|cet|cette|ces|mon|ma|mes|ton|ta|tes|son|sa|ses|notre|nos|votre|vos|leur|leurs)\s+))+/iu;
+
+const pluralizeWord = (w) => {
+  if (/[sxz]$/i.test(w)) return w; // fils -> fils, voix -> voix
+  if (/(eau|eu|au)$/i.test(w)) return w + 'x'; // agneau -> agneaux
+  if (/al$/i.test(w)) return w.replace(/al$/i, 'aux'); // animal -> animaux
+  return w + 's';
+};
+
+const singularForms = (w) => {
+  const out = [];
+  if (/aux$/i.test(w)) out.push(w.replace(/aux$/i, 'al'));
+  if (/(eau|eu|au)x$/i.test(w)) out.push(w.slice(0, -1));
+  if (/s$/i.test(w) && w.length > 3) out.push(w.slice(0, -1));
+  return out;
+};
+
+const verbForms = (w) => {
+  const m = w.match(/^(.+)(er|ir)$/i);
+  if (!m || m[1].length < 2) return [];
+  const [, stem, ending] = m;
+  if (ending.toLowerCase() === 'er') {
+    return ['e', 'es', 'ent', 'é', 'ée', 'és', 'ées', 'ait', 'aient', 'a', 'èrent', 'ant'].map(s => stem + s);
+  }
+  return ['i', 'ie', 'is', 'ies', 'it', 'issent', 'issait', 'issaient', 'irent', 'issant'].map(s => stem + s);
+};
+
+/**
+ * Generate morphological variants of a term
+ */
+export function generateVariants(term, isName = false) {
+  const variants = new Set([term]);
+  if (!isName) {
+    variants.add(pluralizeWord(term));
+    for (const s of singularForms(term)) variants.add(s);
+    for (const v of verbForms(term)) variants.add(v);
+  }
+  for (const variant of Array.from(variants)) {
+    if (/^\p{Ll}/u.test(variant)) variants.add(variant[0].toUpperCase() + variant.slice(1));
+  }
+  return Array.from(variants);
+}
+
+/**
+ * True when match differs from base only by number or a regular verb ending (no "Variant of" needed)
+ */
+export function allowNoVariant(base, match) {
+  const b = String(base || '');
+  const m = String(match || '');
+  if (!b || !m) return true;
+  if (b.toLowerCase() === m.toLowerCase()) return true;
+  const parts = b.trim().split(/\s+/);
+  const head = parts.length > 1 ? parts.slice(0, -1).join(' ') + ' ' : '';
+  const last = parts[parts.length - 1];
+  const allowed = new Set([pluralizeWord(last), ...singularForms(last), ...verbForms(last)].map(x => (head + x).toLowerCase()));
+  return allowed.has(m.toLowerCase());
+}
@@ -0,0 +1,48 @@
+/**
+ * Per-language rules for Translation Words term handling
+ *
+ * Each rules module exports:
+ *   code, name        - language identifier and display name
+ *   defaultRepos      - { ultRepo, twRepo } defaults on DCS (may be empty)
+ *   leadingWords      - RegExp of articles/determiners stripped from TW header terms
+ *   generateVariants  - (term, isName) => variant spellings inserted into the term trie
+ *   allowNoVariant    - (base, match) => true when the match needs no "Variant of"
+ */
+import * as en from './en.js';
+import * as es419 from './es-419.js';
+import * as fr from './fr.js';
+
+const rulesByCode = {
+  en,
+  'es-419': es419,
+  fr,
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export function supportedLanguages() {
+  return Object.keys(rulesByCode);
+}
+
+/**
+ * Get the rules module for a language code (case-insensitive; falls back from es-xx to es-419)
+ */
+export function getLanguageRules(language = DEFAULT_LANGUAGE) {
+  const lc = String(language || DEFAULT_LANGUAGE).toLowerCase();
+  if (rulesByCode[lc]) return rulesByCode[lc];
+  const base = lc.split('-')[0];
+  const fallback = Object.keys(rulesByCode).find(k => k.split('-')[0] === base);
+  if (fallback) return rulesByCode[fallback];
+  throw new Error(`Unsupported language: ${language} (supported: ${supportedLanguages().join(', ')})`);
+}
+
+/**
+ * Strip leading articles/determiners from a TW header term (repeated prefixes allowed)
+ */
+export function stripLeadingWords(term, rules) {
+  let cleaned = String(term || '').trim();
+  while (rules.leadingWords.test(cleaned)) {
+    cleaned = cleaned.replace(rules.leadingWords, '').trim();
+  }
+  return cleaned;
+}
@@ -0,0 +1,136 @@
+/**
+ * ULT word alignments - Works in both Node.js and Browser environments
+ *
+ * Aligned ULT USFM wraps English \w words in \zaln-s ... \zaln-e milestones that carry the
+ * Strong's number and lemma of the original-language word behind them. These helpers keep that
+ * data per English token so a match with several candidate articles can be resolved by the
+ * article whose TW Strong's list contains the aligned number.
+ *
+ * Usage:
+ *   import { parseAlignedVerses, locateAlignedWords, createAlignmentChooser } from './utils/alignments.js';
+ *   const aligned = parseAlignedVerses(usfm);               // { chapter: { verse: [tokens] } }
+ *   const spans = locateAlignedWords(verseText, aligned[1][1]);
+ *   const choose = createAlignmentChooser(spans, articleStrongs, fallbackChooser);
+ */
+
+const attr = (attrs, name) => {
+  const m = String(attrs || '').match(new RegExp(`${name}="([^"]*)"`));
+  return m ? m[1] : '';
+};
+
+/**
+ * Comparable form of a Strong's number: prefixes ("b:", "c:") and letter suffixes dropped,
+ * leading zeros removed, and 5-digit UGNT numbers reduced to the 4-digit TW form
+ * ("H0430" and "H430" -> "H430"; "G29620" and "G2962" -> "G2962")
+ */
+export function strongsKey(sid) {
+  const m = String(sid || '').split(':').pop().trim().match(/^([HG])(\d+)[a-z]?$/i);
+  if (!m) return '';
+  let digits = m[2];
+  if (m[1].toUpperCase() === 'G' && digits.length === 5) digits = digits.slice(0, 4);
+  return `${m[1].toUpperCase()}${parseInt(digits, 10)}`;
+}
+
+/**
+ * English tokens of aligned USFM with the Strong's numbers and lemmas they are aligned to
+ * @param {string} usfm - Aligned USFM content
+ * @return {Object} - { chapter: { verse: [{ text, occurrence, strongs: [sid], lemmas: [lemma] }] } }
+ */
+export function parseAlignedVerses(usfm) {
+  const verses = {};
+  let tokens = null;
+  let chapter = 0;
+  const stack = [];
+  const re = /\\c\s+(\d+)|\\v\s+(\d+)|\\zaln-s\s*\|([^\\]*?)\\\*|\\zaln-e\\\*|\\w\s+([^|\\]+?)\|([^\\]*?)\\w\*/g;
+  let m;
+  while ((m = re.exec(String(usfm || '')))) {
+    if (m[1]) {
+      chapter = parseInt(m[1], 10);
+      stack.length = 0;
+    } else if (m[2]) {
+      if (!verses[chapter]) verses[chapter] = {};
+      tokens = verses[chapter][parseInt(m[2], 10)] = [];
+    } else if (m[3] !== undefined) {
+      stack.push({ strong: attr(m[3], 'x-strong'), lemma: attr(m[3], 'x-lemma') });
+    } else if (m[0].startsWith('\\zaln-e')) {
+      stack.pop();
+    } else if (m[4] && tokens) {
+      tokens.push({
+        text: m[4],
+        occurrence: parseInt(attr(m[5], 'x-occurrence'), 10) || 1,
+        strongs: stack.map(s => s.strong).filter(Boolean),
+        lemmas: stack.map(s => s.lemma).filter(Boolean),
+      });
+    }
+  }
+  return verses;
+}
+
+/**
+ * Find the character span of each aligned token in the plain verse text (tokens are located
+ * in order; a token that cannot be found is skipped)
+ * @return {Array} - [{ start, end, strongs, lemmas }]
+ */
+export function locateAlignedWords(verseText, tokens = []) {
+  const text = String(verseText || '');
+  const spans = [];
+  let cursor = 0;
+  for (const token of tokens) {
+    const start = text.indexOf(token.text, cursor);
+    if (start < 0) continue;
+    const end = start + token.text.length;
+    spans.push({ start, end, strongs: token.strongs, lemmas: token.lemmas });
+    cursor = end;
+  }
+  return spans;
+}
+
+/**
+ * Build the Strong's lookup for articles from generateTWArticles output
+ * @return {Map} - article -> Set of strongsKey values
+ */
+export function articleStrongsMap(articles) {
+  const map = new Map();
+  for (const [id, article] of Object.entries(articles || {})) {
+    const keys = new Set();
+    for (const seq of article.strongs || []) {
+      for (const sid of [].concat(seq)) {
+        const key = strongsKey(sid);
+        if (key) keys.add(key);
+      }
+    }
+    map.set(id, keys);
+  }
+  return map;
+}
+
+/**
+ * Choose among candidate articles by the Strong's numbers aligned to the matched words.
+ * Candidates whose TW Strong's list contains an aligned number are preferred; a single such
+ * candidate is chosen outright, several are passed on to `fallback` (e.g. the disambiguation rules).
+ * @param {Array} spans - Output of locateAlignedWords for the verse
+ * @param {Map} articleStrongs - Output of articleStrongsMap
+ * @param {Function} fallback - choose(candidate, context) for the remaining candidates, or null
+ * @return {Function} - choose(candidate, context) giving { article, rule } or null; candidates need start and length
+ */
+export function createAlignmentChooser(spans, articleStrongs, fallback = null) {
+  return (candidate, context = {}) => {
+    const articles = candidate.articles || [];
+    const end = candidate.start + candidate.length;
+    const aligned = new Set();
+    for (const span of spans) {
+      if (span.start < end && span.end > candidate.start) span.strongs.forEach(sid => aligned.add(strongsKey(sid)));
+    }
+    const preferred = articles.filter(a => {
+      const keys = articleStrongs.get(a);
+      return keys && Array.from(aligned).some(key => keys.has(key));
+    });
+    const byAlignment = () => {
+      const numbers = Array.from(aligned).filter(key => articleStrongs.get(preferred[0]).has(key));
+      return { article: preferred[0], rule: `alignment (${numbers.join(', ')})` };
+    };
+    if (preferred.length === 1) return byAlignment();
+    const choice = fallback ? fallback(preferred.length > 1 ? { ...candidate, articles: preferred } : candidate, context) : null;
+    return choice || (preferred.length > 1 ? byAlignment() : null);
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Optional persistent download cache - Works in both Node.js and Browser environments
+ *
+ * Node.js: files in a cache directory (default ~/.cache/twl-generator)
+ * Browser: Cache Storage (default cache name "twl-generator")
+ *
+ * Entries are keyed by URL and revalidated with ETag/Last-Modified, so an unchanged
+ * resource costs one conditional request instead of a full download.
+ *
+ * Usage:
+ *   import { createCache, cachedFetch } from './utils/cache.js';
+ *   const cache = createCache(true);
+ *   const { data, fromCache } = await cachedFetch(url, { cache });
+ */
+
+// Environment detection
+const isNode = typeof window === 'undefined' && typeof process !== 'undefined' && process.versions?.node;
+
+const DEFAULT_CACHE_NAME = 'twl-generator';
+
+/**
+ * Default cache directory for Node.js
+ */
+export async function defaultCacheDir() {
+  const path = await import('node:path');
+  const os = await import('node:os');
+  if (process.env.TWL_CACHE_DIR) return process.env.TWL_CACHE_DIR;
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, DEFAULT_CACHE_NAME);
+}
+
+/**
+ * Filesystem store: <sha1(key)>.bin holds the body, <sha1(key)>.json its metadata
+ */
+function createFsStore(dir) {
+  const locate = async (key) => {
+    const path = await import('node:path');
+    const { createHash } = await import('node:crypto');
+    const root = dir || await defaultCacheDir();
+    const hash = createHash('sha1').update(key).digest('hex');
+    return { root, data: path.join(root, `${hash}.bin`), meta: path.join(root, `${hash}.json`) };
+  };
+
+  return {
+    async get(key) {
+      const fs = await import('node:fs/promises');
+      const loc = await locate(key);
+      try {
+        const meta = JSON.parse(await fs.readFile(loc.meta, 'utf8'));
+        const body = new Uint8Array(await fs.readFile(loc.data));
+        return { body, meta };
+      } catch (e) {
+        return null;
+      }
+    },
+    async put(key, body, meta = {}) {
+      const fs = await import('node:fs/promises');
+      const loc = await locate(key);
+      await fs.mkdir(loc.root, { recursive: true });
+      await fs.writeFile(loc.data, toUint8Array(body));
+      await fs.writeFile(loc.meta, JSON.stringify({ ...meta, key, storedAt: new Date().toISOString() }), 'utf8');
+    }
+  };
+}
+
+/**
+ * Browser store backed by Cache Storage; metadata travels in a response header
+ */
+function createBrowserStore(name) {
+  const open = () => caches.open(name || DEFAULT_CACHE_NAME);
+  const toRequest = (key) => new Request(`https://${DEFAULT_CACHE_NAME}.cache/${encodeURIComponent(key)}`);
+
+  return {
+    async get(key) {
+      const res = await (await open()).match(toRequest(key));
+      if (!res) return null;
+      const meta = JSON.parse(res.headers.get('x-twl-meta') || '{}');
+      return { body: new Uint8Array(await res.arrayBuffer()), meta };
+    },
+    async put(key, body, meta = {}) {
+      const headers = { 'x-twl-meta': JSON.stringify({ ...meta, key, storedAt: new Date().toISOString() }) };
+      await (await open()).put(toRequest(key), new Response(toUint8Array(body), { headers }));
+    }
+  };
+}
+
+/**
+ * Create a cache store from the `cache` option:
+ *   true            -> default location for the environment
+ *   string          -> directory (Node.js) or Cache Storage name (browser)
+ *   { get, put }    -> custom store, used as-is
+ *   false/undefined -> no cache (returns null)
+ */
+export function createCache(cacheOption) {
+  if (!cacheOption) return null;
+  if (typeof cacheOption === 'object' && typeof cacheOption.get === 'function' && typeof cacheOption.put === 'function') {
+    return cacheOption;
+  }
+  const location = typeof cacheOption === 'string' ? cacheOption : '';
+  if (isNode) return createFsStore(location);
+  if (typeof caches !== 'undefined') return createBrowserStore(location);
+  return null;
+}
+
+function toUint8Array(body) {
+  if (typeof body === 'string') return new TextEncoder().encode(body);
+  if (body instanceof Uint8Array) return body;
+  if (body instanceof ArrayBuffer) return new Uint8Array(body);
+  if (ArrayBuffer.isView(body)) return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+  throw new Error('Cache bodies must be strings, ArrayBuffers or typed arrays');
+}
+
+/**
+ * SHA-1 hex digest of some bytes, used to tie derived data to the exact download it came from
+ */
+export async function contentHash(body) {
+  const bytes = toUint8Array(body);
+  if (isNode) {
+    const { createHash } = await import('node:crypto');
+    return createHash('sha1').update(bytes).digest('hex');
+  }
+  const digest = await crypto.subtle.digest('SHA-1', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fetch a URL through the cache.
+ * @param {string} url - URL to download
+ * @param {Object} options - { cache: store from createCache, refresh: skip revalidation and re-download,
+ *                            fetch: fetch implementation (default globalThis.fetch) }
+ * @return {Promise<Object>} - { data: Uint8Array, fromCache: boolean, etag, lastModified }
+ */
+export async function cachedFetch(url, options = {}) {
+  const { cache, refresh = false } = options;
+  const fetchImpl = options.fetch || globalThis.fetch;
+
+  if (!cache) {
+    const res = await fetchImpl(url);
+    if (!res.ok) throw new Error(`Failed to download ${url}: ${res.status} ${res.statusText}`);
+    return { data: new Uint8Array(await res.arrayBuffer()), fromCache: false, etag: '', lastModified: '' };
+  }
+
+  const cached = refresh ? null : await cache.get(url);
+  const headers = {};
+  if (cached?.meta?.etag) headers['If-None-Match'] = cached.meta.etag;
+  if (cached?.meta?.lastModified) headers['If-Modified-Since'] = cached.meta.lastModified;
+
+  let res;
+  try {
+    res = await fetchImpl(url, { headers });
+  } catch (err) {
+    // Offline: fall back to whatever we have
+    if (cached) return { data: cached.body, fromCache: true, etag: cached.meta.etag || '', lastModified: cached.meta.lastModified || '' };
+    throw err;
+  }
+
+  if (res.status === 304 && cached) {
+    return { data: cached.body, fromCache: true, etag: cached.meta.etag || '', lastModified: cached.meta.lastModified || '' };
+  }
+  if (!res.ok) throw new Error(`Failed to download ${url}: ${res.status} ${res.statusText}`);
+
+  const data = new Uint8Array(await res.arrayBuffer());
+  const etag = res.headers.get('etag') || '';
+  const lastModified = res.headers.get('last-modified') || '';
+  await cache.put(url, data, { url, etag, lastModified });
+  return { data, fromCache: false, etag, lastModified };
+}
+
+/**
+ * Read a JSON value derived from a download, valid only for the given content hash
+ */
+export async function getCachedJson(cache, key, hash) {
+  if (!cache) return null;
+  const entry = await cache.get(key);
+  if (!entry || entry.meta?.hash !== hash) return null;
+  try {
+    return JSON.parse(new TextDecoder().decode(entry.body));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Store a JSON value derived from a download under its content hash
+ */
+export async function putCachedJson(cache, key, hash, value) {
+  if (!cache) return;
+  await cache.put(key, JSON.stringify(value), { hash });
+}
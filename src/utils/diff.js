@@ -0,0 +1,130 @@
+/**
+ * Row-by-row comparison of two TWL TSVs - Works in both Node.js and Browser environments
+ *
+ * Rows are aligned by Reference + OrigWords + Occurrence, then (for rows still unpaired)
+ * by Reference + GLQuote + GLOccurrence. Paired rows whose TWLink differs are "relinked";
+ * paired rows whose Variant of or Disambiguation differ are "changed".
+ *
+ * Usage:
+ *   import { diffTwl, formatTwlDiff } from './utils/diff.js';
+ *   const diff = diffTwl(oldTsv, newTsv);
+ *   console.log(formatTwlDiff(diff));
+ */
+import { parseTsv, compareReferences } from './tsv.js';
+
+// Columns compared on paired rows besides TWLink
+export const DIFF_FIELDS = ['Variant of', 'Disambiguation'];
+
+const articleOf = (twLink) => String(twLink || '').replace(/^rc:\/\/[^/]+\/tw\/dict\/bible\//, '');
+const brief = (row) => ({
+  Reference: row.Reference,
+  ID: row.ID,
+  OrigWords: row.OrigWords,
+  Occurrence: row.Occurrence,
+  GLQuote: row.GLQuote || '',
+  TWLink: row.TWLink,
+});
+
+/**
+ * Pair rows of two lists that share a key; rows with the same TWLink pair first
+ */
+function pairBy(oldRows, newRows, keyOf, pairs) {
+  const groups = new Map();
+  for (const row of newRows) {
+    const key = keyOf(row);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  const pending = [];
+  for (const row of oldRows) {
+    const candidates = groups.get(keyOf(row));
+    if (!candidates || !candidates.length) continue;
+    const same = candidates.findIndex(c => c.TWLink === row.TWLink);
+    if (same >= 0) {
+      pairs.push([row, candidates.splice(same, 1)[0]]);
+    } else {
+      pending.push(row);
+    }
+  }
+  for (const row of pending) {
+    const candidates = groups.get(keyOf(row));
+    if (candidates && candidates.length) pairs.push([row, candidates.shift()]);
+  }
+}
+
+/**
+ * Compare two TWL TSVs.
+ * @param {string} oldTsv - Baseline TWL text
+ * @param {string} newTsv - TWL text to compare against the baseline
+ * @return {Object} - { added: [rows], removed: [rows], relinked: [{ ..., from, to }],
+ *                      changed: [{ ..., field, from, to }], summary: counts }
+ */
+export function diffTwl(oldTsv, newTsv) {
+  const oldRows = parseTsv(oldTsv).rows;
+  const newRows = parseTsv(newTsv).rows;
+
+  const pairs = [];
+  pairBy(oldRows, newRows, r => (r.OrigWords ? `${r.Reference}|${r.OrigWords}|${r.Occurrence}` : ''), pairs);
+  let pairedOld = new Set(pairs.map(([o]) => o));
+  let pairedNew = new Set(pairs.map(([, n]) => n));
+  pairBy(
+    oldRows.filter(r => !pairedOld.has(r)),
+    newRows.filter(r => !pairedNew.has(r)),
+    r => (r.GLQuote ? `${r.Reference}|${r.GLQuote}|${r.GLOccurrence}` : ''),
+    pairs
+  );
+  pairedOld = new Set(pairs.map(([o]) => o));
+  pairedNew = new Set(pairs.map(([, n]) => n));
+
+  const byRef = (a, b) => compareReferences(a.Reference, b.Reference);
+  const removed = oldRows.filter(r => !pairedOld.has(r)).map(brief).sort(byRef);
+  const added = newRows.filter(r => !pairedNew.has(r)).map(brief).sort(byRef);
+  const relinked = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [o, n] of pairs) {
+    if (o.TWLink === n.TWLink && DIFF_FIELDS.every(field => (o[field] || '') === (n[field] || ''))) unchanged++;
+    if (o.TWLink !== n.TWLink) {
+      relinked.push({ ...brief(n), oldID: o.ID, from: articleOf(o.TWLink), to: articleOf(n.TWLink) });
+    }
+    for (const field of DIFF_FIELDS) {
+      const from = o[field] || '';
+      const to = n[field] || '';
+      if (from !== to) changed.push({ ...brief(n), oldID: o.ID, field, from, to });
+    }
+  }
+  relinked.sort(byRef);
+  changed.sort(byRef);
+
+  return {
+    added,
+    removed,
+    relinked,
+    changed,
+    summary: {
+      old: oldRows.length,
+      new: newRows.length,
+      unchanged,
+      added: added.length,
+      removed: removed.length,
+      relinked: relinked.length,
+      changed: changed.length,
+    },
+  };
+}
+
+/**
+ * Human-readable rendering of a diffTwl result
+ */
+export function formatTwlDiff(diff) {
+  const quote = (r) => `"${r.OrigWords}"${r.GLQuote && r.GLQuote !== r.OrigWords ? ` (${r.GLQuote})` : ''}`;
+  const lines = [];
+  const s = diff.summary;
+  lines.push(`${s.old} -> ${s.new} rows: ${s.added} added, ${s.removed} removed, ${s.relinked} relinked, ${s.changed} changed`);
+  for (const r of diff.added) lines.push(`+ ${r.Reference} ${quote(r)} ${articleOf(r.TWLink)}`);
+  for (const r of diff.removed) lines.push(`- ${r.Reference} ${quote(r)} ${articleOf(r.TWLink)}`);
+  for (const r of diff.relinked) lines.push(`~ ${r.Reference} ${quote(r)} ${r.from} -> ${r.to}`);
+  for (const r of diff.changed) lines.push(`* ${r.Reference} ${quote(r)} ${r.field}: "${r.from}" -> "${r.to}"`);
+  return lines.join('\n');
+}
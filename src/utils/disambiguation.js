@@ -0,0 +1,153 @@
+/**
+ * Context-based disambiguation rules - Works in both Node.js and Browser environments
+ *
+ * When a match has several candidate articles (the Disambiguation column), the first rule whose
+ * conditions hold picks the TWLink; without a firing rule the first candidate is used. Rules are
+ * declarative (JSON or YAML):
+ *
+ *   rules:
+ *     - id: spirit-holy               # name recorded in the "Disambiguation Rule" column
+ *       term: spirit                  # optional: TW term or matched text (case-insensitive)
+ *       articles: [kt/holyspirit, kt/spirit]  # optional: candidates that must all be present
+ *       choose: kt/holyspirit         # article to link (must be a candidate)
+ *       when:                         # all given conditions must hold
+ *         capitalized: true           # matched text starts with a capital letter (false: lowercase)
+ *         precededBy: [holy]          # word right before the match
+ *         followedBy: [of]            # word right after the match
+ *         nearby: [lord, god]         # any of these words within `window` words (default 5)
+ *         books: [mat, mrk]
+ *         testament: new              # old | new
+ *         chapters: "1-11"            # chapter or range (or a list of them)
+ *   defaults: true                    # keep the built-in rules after these (default true)
+ *
+ * Usage:
+ *   import { parseDisambiguationRules, createDisambiguator } from './utils/disambiguation.js';
+ *   const disambiguator = createDisambiguator(parseDisambiguationRules(text));
+ *   const choose = disambiguator.forVerse('rut', 1);
+ *   const choice = choose(match, { before, after }); // { article, rule } or null
+ */
+import YAML from 'yaml';
+import { BibleBookData } from '../common/books.js';
+
+const RULE_KEYS = ['id', 'term', 'articles', 'choose', 'when'];
+const WHEN_KEYS = ['capitalized', 'precededBy', 'followedBy', 'nearby', 'window', 'books', 'testament', 'chapters'];
+
+// Built-in rules: capitalized "God" is the true God, lowercase "god(s)" a false god
+export const DEFAULT_DISAMBIGUATION_RULES = [
+  { id: 'god-capitalized', term: 'god', articles: ['kt/god', 'kt/falsegod'], choose: 'kt/god', when: { capitalized: true } },
+  { id: 'god-lowercase', term: 'god', articles: ['kt/god', 'kt/falsegod'], choose: 'kt/falsegod', when: { capitalized: false } },
+];
+
+const list = (value) => (value === undefined || value === null ? [] : [].concat(value).map(v => String(v).trim()).filter(Boolean));
+const articlePath = (a) => a.replace(/^rc:\/\/[^/]+\/tw\/dict\/bible\//, '').replace(/\.md$/, '');
+const WORD = /[\p{L}\p{M}\p{N}'_-]+/gu;
+
+function parseChapters(value, label) {
+  return list(value).map(range => {
+    const m = range.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!m) throw new Error(`${label}: invalid chapters "${range}"`);
+    return { from: parseInt(m[1], 10), to: parseInt(m[2] || m[1], 10) };
+  });
+}
+
+function normalizeRule(rule, index) {
+  const label = `Disambiguation rule ${rule && rule.id ? `"${rule.id}"` : index + 1}`;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${label} must be an object`);
+  const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length) throw new Error(`${label}: unknown field ${unknown.join(', ')} (expected ${RULE_KEYS.join(', ')})`);
+  const when = rule.when || {};
+  const unknownWhen = Object.keys(when).filter(key => !WHEN_KEYS.includes(key));
+  if (unknownWhen.length) throw new Error(`${label}: unknown condition ${unknownWhen.join(', ')} (expected ${WHEN_KEYS.join(', ')})`);
+  if (!rule.choose) throw new Error(`${label} needs a "choose" article`);
+  const testament = when.testament ? String(when.testament).toLowerCase() : '';
+  if (testament && !['old', 'new', 'ot', 'nt'].includes(testament)) throw new Error(`${label}: testament must be old or new`);
+
+  return {
+    id: String(rule.id || `rule ${index + 1}`),
+    terms: list(rule.term).map(t => t.toLowerCase()),
+    articles: list(rule.articles).map(articlePath),
+    choose: articlePath(String(rule.choose)),
+    capitalized: typeof when.capitalized === 'boolean' ? when.capitalized : null,
+    precededBy: list(when.precededBy).map(w => w.toLowerCase()),
+    followedBy: list(when.followedBy).map(w => w.toLowerCase()),
+    nearby: list(when.nearby).map(w => w.toLowerCase()),
+    window: parseInt(when.window, 10) || 5,
+    books: list(when.books).map(b => b.toLowerCase()),
+    testament: testament === 'ot' ? 'old' : testament === 'nt' ? 'new' : testament,
+    chapters: parseChapters(when.chapters, label),
+  };
+}
+
+/**
+ * Parse disambiguation rules.
+ * @param {string|Object|Array} config - JSON or YAML text, or an already parsed object:
+ *                                       { rules: [...], defaults: true|false } or a bare array of rules
+ * @return {Array} - Normalized rules, followed by the built-in rules unless defaults is false
+ */
+export function parseDisambiguationRules(config) {
+  let data = config;
+  if (typeof config === 'string') {
+    const text = config.trim();
+    data = !text ? [] : /^[[{]/.test(text) ? JSON.parse(text) : YAML.parse(text);
+  }
+  data = data || [];
+  const rules = Array.isArray(data) ? data : (data.rules || []);
+  if (!Array.isArray(rules)) throw new Error('Disambiguation config must be a list of rules or an object with a "rules" list');
+  const useDefaults = Array.isArray(data) || data.defaults !== false;
+  return rules.concat(useDefaults ? DEFAULT_DISAMBIGUATION_RULES : []).map(normalizeRule);
+}
+
+const wordsOf = (text) => (String(text).match(WORD) || []).map(w => w.toLowerCase());
+
+function conditionsHold(rule, candidate, before, after) {
+  const text = String(candidate.matchedText || '');
+  if (rule.capitalized !== null) {
+    const first = text.charAt(0);
+    const isCapital = first !== first.toLowerCase();
+    if (isCapital !== rule.capitalized) return false;
+  }
+  const previous = wordsOf(before);
+  const next = wordsOf(after);
+  if (rule.precededBy.length && !rule.precededBy.includes(previous[previous.length - 1])) return false;
+  if (rule.followedBy.length && !rule.followedBy.includes(next[0])) return false;
+  if (rule.nearby.length) {
+    const around = previous.slice(-rule.window).concat(next.slice(0, rule.window));
+    if (!rule.nearby.some(w => around.includes(w))) return false;
+  }
+  return true;
+}
+
+/**
+ * Build a disambiguator from normalized rules.
+ * @param {Array} rules - Output of parseDisambiguationRules (default: the built-in rules)
+ * @return {Object} - { rules, forVerse(book, chapter) } where forVerse returns
+ *                    choose(candidate, { before, after }) giving { article, rule } or null
+ *                    for a candidate { term, articles, matchedText }
+ */
+export function createDisambiguator(rules = parseDisambiguationRules(null)) {
+  return {
+    rules,
+    forVerse(book, chapter) {
+      const b = String(book || '').toLowerCase();
+      const testament = BibleBookData[b] ? BibleBookData[b].testament : '';
+      const c = parseInt(chapter, 10);
+      const active = rules.filter(rule =>
+        (!rule.books.length || rule.books.includes(b)) &&
+        (!rule.testament || rule.testament === testament) &&
+        (!rule.chapters.length || rule.chapters.some(r => c >= r.from && c <= r.to)));
+
+      return (candidate, { before = '', after = '' } = {}) => {
+        const articles = candidate.articles || [];
+        if (articles.length < 2) return null;
+        const term = String(candidate.term || '').toLowerCase();
+        const text = String(candidate.matchedText || '').toLowerCase();
+        for (const rule of active) {
+          if (rule.terms.length && !rule.terms.includes(term) && !rule.terms.includes(text)) continue;
+          if (!articles.includes(rule.choose) || !rule.articles.every(a => articles.includes(a))) continue;
+          if (conditionsHold(rule, candidate, before, after)) return { article: rule.choose, rule: rule.id };
+        }
+        return null;
+      };
+    },
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Accuracy evaluation of generated TWLs against a reference (gold-standard) TWL
+ * - Works in both Node.js and Browser environments
+ *
+ * A generated row is a true positive when the reference has a row with the same Reference and
+ * TWLink article, anchored on the same OrigWords + Occurrence (or GLQuote + GLOccurrence).
+ * Unpaired generated rows are false positives; unpaired reference rows are false negatives.
+ *
+ * Usage:
+ *   import { evaluateTwl, formatEvaluation } from './utils/evaluate.js';
+ *   const result = evaluateTwl([{ book: 'rut', generatedTsv, referenceTsv }]);
+ *   console.log(formatEvaluation(result));
+ */
+import { parseTsv } from './tsv.js';
+
+const articleOf = (twLink) => String(twLink || '').replace(/^rc:\/\/[^/]+\/tw\/dict\/bible\//, '');
+
+const counts = () => ({ tp: 0, fp: 0, fn: 0 });
+
+function withScores(c) {
+  const precision = c.tp + c.fp ? c.tp / (c.tp + c.fp) : 0;
+  const recall = c.tp + c.fn ? c.tp / (c.tp + c.fn) : 0;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  const round = (x) => Math.round(x * 10000) / 10000;
+  return { ...c, precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+function bump(map, key, field) {
+  if (!map[key]) map[key] = counts();
+  map[key][field]++;
+}
+
+/**
+ * Pair generated rows with reference rows of the same book
+ * @return {Object} - { tp: [[generated, reference]], fp: [generated], fn: [reference] }
+ */
+function matchRows(generatedRows, referenceRows) {
+  const keysOf = (row) => {
+    const article = articleOf(row.TWLink);
+    const keys = [];
+    if (row.OrigWords) keys.push(`ol|${row.Reference}|${article}|${row.OrigWords}|${row.Occurrence}`);
+    if (row.GLQuote) keys.push(`gl|${row.Reference}|${article}|${row.GLQuote}|${row.GLOccurrence}`);
+    return keys;
+  };
+
+  const index = new Map();
+  for (const row of referenceRows) {
+    for (const key of keysOf(row)) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(row);
+    }
+  }
+
+  const used = new Set();
+  const tp = [];
+  const fp = [];
+  for (const row of generatedRows) {
+    let hit = null;
+    for (const key of keysOf(row)) {
+      hit = (index.get(key) || []).find(r => !used.has(r));
+      if (hit) break;
+    }
+    if (hit) {
+      used.add(hit);
+      tp.push([row, hit]);
+    } else {
+      fp.push(row);
+    }
+  }
+  const fn = referenceRows.filter(r => !used.has(r));
+  return { tp, fp, fn };
+}
+
+/**
+ * Evaluate generated TWLs against reference TWLs.
+ * @param {Array} books - [{ book, generatedTsv, referenceTsv }]
+ * @param {Object} options - { top: number of worst terms to list (default 20) }
+ * @return {Object} - { overall, byBook, byTag, byArticle, worstFalsePositives, worstFalseNegatives }
+ *                    Each score is { tp, fp, fn, precision, recall, f1 }.
+ */
+export function evaluateTwl(books, options = {}) {
+  const top = options.top || 20;
+  const overall = counts();
+  const byBook = {};
+  const byTag = {};
+  const byArticle = {};
+  const fpTerms = new Map();
+  const fnTerms = new Map();
+
+  const tagOf = (row) => row.Tags || 'other';
+  const termOf = (row) => (row.GLQuote || row.OrigWords || '').toLowerCase();
+  const countTerm = (map, row) => {
+    const key = `${termOf(row)}\t${articleOf(row.TWLink)}`;
+    map.set(key, (map.get(key) || 0) + 1);
+  };
+
+  for (const { book, generatedTsv, referenceTsv } of books) {
+    const { tp, fp, fn } = matchRows(parseTsv(generatedTsv).rows, parseTsv(referenceTsv).rows);
+    const bookKey = String(book || '').toLowerCase() || 'book';
+    for (const [, ref] of tp) {
+      overall.tp++;
+      bump(byBook, bookKey, 'tp');
+      bump(byTag, tagOf(ref), 'tp');
+      bump(byArticle, articleOf(ref.TWLink), 'tp');
+    }
+    for (const row of fp) {
+      overall.fp++;
+      bump(byBook, bookKey, 'fp');
+      bump(byTag, tagOf(row), 'fp');
+      bump(byArticle, articleOf(row.TWLink), 'fp');
+      countTerm(fpTerms, row);
+    }
+    for (const row of fn) {
+      overall.fn++;
+      bump(byBook, bookKey, 'fn');
+      bump(byTag, tagOf(row), 'fn');
+      bump(byArticle, articleOf(row.TWLink), 'fn');
+      countTerm(fnTerms, row);
+    }
+  }
+
+  const scoreAll = (map) => Object.fromEntries(Object.keys(map).sort().map(k => [k, withScores(map[k])]));
+  const worst = (map) => Array.from(map.entries())
+    .map(([key, count]) => {
+      const [term, article] = key.split('\t');
+      return { term, article, count };
+    })
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+    .slice(0, top);
+
+  return {
+    overall: withScores(overall),
+    byBook: scoreAll(byBook),
+    byTag: scoreAll(byTag),
+    byArticle: scoreAll(byArticle),
+    worstFalsePositives: worst(fpTerms),
+    worstFalseNegatives: worst(fnTerms),
+  };
+}
+
+/**
+ * Human-readable rendering of an evaluateTwl result
+ */
+export function formatEvaluation(result, options = {}) {
+  const articles = options.articles || 20;
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  const line = (label, s) => `${label.padEnd(24)} P ${pct(s.precision).padStart(6)}  R ${pct(s.recall).padStart(6)}  F1 ${pct(s.f1).padStart(6)}  (tp ${s.tp}, fp ${s.fp}, fn ${s.fn})`;
+  const lines = [];
+
+  lines.push(line('Overall', result.overall));
+  lines.push('', 'By book:');
+  for (const [book, s] of Object.entries(result.byBook)) lines.push(line(`  ${book}`, s));
+  lines.push('', 'By tag:');
+  for (const [tag, s] of Object.entries(result.byTag)) lines.push(line(`  ${tag}`, s));
+
+  // Per-article scores are long; show the weakest articles with the most errors
+  const weakest = Object.entries(result.byArticle)
+    .filter(([, s]) => s.fp + s.fn > 0)
+    .sort((a, b) => a[1].f1 - b[1].f1 || (b[1].fp + b[1].fn) - (a[1].fp + a[1].fn))
+    .slice(0, articles);
+  lines.push('', `Weakest articles (of ${Object.keys(result.byArticle).length}):`);
+  for (const [article, s] of weakest) lines.push(line(`  ${article}`, s));
+
+  lines.push('', 'Worst false positives (generated, not in reference):');
+  for (const t of result.worstFalsePositives) lines.push(`  ${String(t.count).padStart(5)}  "${t.term}" -> ${t.article}`);
+  lines.push('', 'Worst false negatives (in reference, not generated):');
+  for (const t of result.worstFalseNegatives) lines.push(`  ${String(t.count).padStart(5)}  "${t.term}" -> ${t.article}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,250 @@
+/**
+ * HTML review report - Works in both Node.js and Browser environments
+ *
+ * Renders a generated TWL as one self-contained HTML page (inline CSS and script, nothing
+ * fetched) for reviewing matches in context: every verse with rows is shown with its matched
+ * words highlighted and color-coded by Tags (keyterm, name, other), followed by its rows.
+ * Hovering a highlight shows the TWLink, Variant of and Disambiguation candidates of its rows.
+ * Filters show only ambiguous rows (several candidate articles), only variant rows, chosen
+ * tags, and the no-match rows.
+ *
+ * Rows are placed in the verse by their GLQuote and GLOccurrence; rows whose quote is not found
+ * in the verse text are listed under the verse without a highlight.
+ *
+ * Usage:
+ *   import { renderTwlReport } from './utils/htmlReport.js';
+ *   const result = await generateTwlByBook('rut', { includeVerses: true });
+ *   const html = renderTwlReport(result);
+ */
+
+const TAG_CLASSES = { keyterm: 'keyterm', name: 'name' };
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const articleOf = (link) => String(link || '').replace(/^rc:\/\/\*\/tw\/dict\/bible\//, '');
+const tagClass = (tags) => TAG_CLASSES[(tags || [])[0]] || 'other';
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}]/u.test(ch);
+
+// Index of the n-th (1-based) whole-word occurrence of quote in text at or after from, or -1
+function findOccurrence(text, quote, n, from = 0) {
+  let count = 0;
+  let at = text.indexOf(quote, from);
+  while (at >= 0) {
+    if (!isWordChar(text[at - 1]) && !isWordChar(text[at + quote.length]) && ++count === n) return at;
+    at = text.indexOf(quote, at + 1);
+  }
+  return -1;
+}
+
+/**
+ * Spans of a row's GLQuote in the verse text; quotes of separate words ("a & b") give one span
+ * per part. Returns [] when the quote is not found.
+ */
+function locateRow(text, row) {
+  const quote = row.glQuote || row.origWords || '';
+  const parts = quote.split(/\s*&\s*/).filter(Boolean);
+  const spans = [];
+  let from = 0;
+  for (let i = 0; i < parts.length; i++) {
+    const at = findOccurrence(text, parts[i], i === 0 ? (row.glOccurrence || row.occurrence || 1) : 1, from);
+    if (at < 0) return [];
+    spans.push({ start: at, end: at + parts[i].length });
+    from = at + parts[i].length;
+  }
+  return spans;
+}
+
+// Hover text of a row
+function rowTitle(row) {
+  return [
+    `${row.glQuote || row.origWords} → ${articleOf(row.twLink)}`,
+    row.variantOf ? `Variant of: ${row.variantOf}` : '',
+    row.disambiguation.length ? `Disambiguation: ${row.disambiguation.join(', ')}` : '',
+    row.disambiguationRule ? `Rule: ${row.disambiguationRule}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+// The verse text with the located rows highlighted; overlapping rows share the overlapped words
+function highlightVerse(text, located) {
+  const cuts = new Set([0, text.length]);
+  for (const { spans } of located) for (const s of spans) cuts.add(s.start).add(s.end);
+  const points = Array.from(cuts).sort((a, b) => a - b);
+  let html = '';
+  for (let i = 0; i < points.length - 1; i++) {
+    const [start, end] = [points[i], points[i + 1]];
+    const covering = located.filter(({ spans }) => spans.some(s => s.start <= start && s.end >= end));
+    const piece = escapeHtml(text.slice(start, end));
+    if (!covering.length) {
+      html += piece;
+      continue;
+    }
+    const classes = ['t-' + tagClass(covering[0].row.tags)];
+    if (covering.length > 1) classes.push('multi');
+    const title = covering.map(({ row }) => rowTitle(row)).join('\n\n');
+    html += `<mark class="${classes.join(' ')}" data-rows="${covering.map(({ index }) => index).join(' ')}" title="${escapeHtml(title)}">${piece}</mark>`;
+  }
+  return html;
+}
+
+function rowHtml(row, index, located) {
+  const ambiguous = row.disambiguation.length > 1;
+  const attrs = `data-row="${index}" data-tag="${tagClass(row.tags)}"${ambiguous ? ' data-ambiguous' : ''}${row.variantOf ? ' data-variant' : ''}`;
+  return `<tr class="row" ${attrs}><td>${escapeHtml(row.id)}</td>`
+    + `<td><span class="tag t-${tagClass(row.tags)}">${escapeHtml(row.tags.join(', ') || 'other')}</span></td>`
+    + `<td>${escapeHtml(row.glQuote || row.origWords)}${located ? '' : ' <em>(not found in verse)</em>'}</td>`
+    + `<td>${escapeHtml(row.glOccurrence || row.occurrence || '')}</td>`
+    + `<td>${escapeHtml(articleOf(row.twLink))}</td>`
+    + `<td>${escapeHtml(row.variantOf)}</td>`
+    + `<td>${escapeHtml(row.disambiguation.join(', '))}</td>`
+    + `<td>${escapeHtml(row.disambiguationRule)}</td></tr>`;
+}
+
+function noMatchHtml(row) {
+  return `<tr class="no-match"><td>${escapeHtml(row.id)}</td><td></td>`
+    + `<td>${escapeHtml(row.glQuote || row.origWords)}</td><td>${escapeHtml(row.glOccurrence || '')}</td>`
+    + `<td>${escapeHtml(articleOf(row.twLink))}</td><td></td>`
+    + `<td>${escapeHtml((row.disambiguation || []).join(', '))}</td><td>${escapeHtml(row.reason)}</td></tr>`;
+}
+
+const STYLE = `
+body { font: 15px/1.5 system-ui, sans-serif; margin: 0; color: #222; }
+header { position: sticky; top: 0; background: #fafafa; border-bottom: 1px solid #ddd; padding: 8px 16px; z-index: 1; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+.summary { color: #555; font-size: 13px; }
+.filters label { margin-right: 14px; font-size: 14px; white-space: nowrap; }
+main { padding: 8px 16px; }
+section { border-bottom: 1px solid #eee; padding: 6px 0; }
+section h2 { font-size: 14px; margin: 0; color: #555; }
+.text { font-size: 17px; margin: 4px 0; }
+mark { border-radius: 3px; padding: 0 1px; cursor: help; }
+mark.multi { box-shadow: inset 0 -2px 0 #333; }
+mark.off { background: none; box-shadow: none; }
+.t-keyterm { background: #ffd6a5; }
+.t-name { background: #bde0fe; }
+.t-other { background: #caffbf; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { padding: 1px 8px 1px 0; vertical-align: top; text-align: left; }
+th { color: #777; font-weight: normal; }
+.tag { border-radius: 3px; padding: 0 4px; }
+tr.no-match { color: #999; display: none; }
+body.show-no-match tr.no-match { display: table-row; }
+tr.hidden, section.hidden { display: none; }
+`;
+
+// Filters: a row is shown when it passes every checked filter; a highlight is dimmed when all of
+// its rows are hidden, and a verse is hidden when none of its rows are shown
+const SCRIPT = `
+(function () {
+  var boxes = document.querySelectorAll('.filters input');
+  function apply() {
+    var on = {};
+    boxes.forEach(function (b) { on[b.name] = b.checked; });
+    document.body.classList.toggle('show-no-match', on['no-match']);
+    document.querySelectorAll('section').forEach(function (section) {
+      var shown = {};
+      var any = false;
+      section.querySelectorAll('tr.row').forEach(function (tr) {
+        var visible = (!on.ambiguous || tr.hasAttribute('data-ambiguous'))
+          && (!on.variant || tr.hasAttribute('data-variant'))
+          && on['tag-' + tr.getAttribute('data-tag')];
+        tr.classList.toggle('hidden', !visible);
+        if (visible) { shown[tr.getAttribute('data-row')] = true; any = true; }
+      });
+      section.querySelectorAll('mark').forEach(function (mark) {
+        var rows = mark.getAttribute('data-rows').split(' ');
+        mark.classList.toggle('off', !rows.some(function (r) { return shown[r]; }));
+      });
+      section.classList.toggle('hidden', !any && !(on['no-match'] && section.querySelector('tr.no-match')));
+    });
+  }
+  boxes.forEach(function (b) { b.addEventListener('change', apply); });
+  apply();
+})();
+`;
+
+/**
+ * Render a TWL as a self-contained HTML review report.
+ * @param {Object} result - { rows, noMatchRows, meta, verses } as returned by generateTwlByBook with
+ *                          includeVerses; verses is { chapter: { verse: text } } (the ULT text)
+ * @param {Object} options - { title }
+ * @return {string} - The HTML page
+ */
+export function renderTwlReport(result, options = {}) {
+  const meta = result.meta || {};
+  const verses = result.verses || {};
+  const rows = result.rows || [];
+  const noMatchRows = result.noMatchRows || [];
+  const book = String(meta.book || '').toUpperCase();
+  const title = options.title || `${book ? `${book} ` : ''}Translation Words Links`;
+
+  // Rows and no-match rows by reference, in reference order
+  const byReference = new Map();
+  const entry = (ref) => byReference.get(ref) || byReference.set(ref, { rows: [], noMatchRows: [] }).get(ref);
+  rows.forEach((row, index) => entry(row.reference).rows.push({ row, index }));
+  noMatchRows.forEach(row => entry(row.reference).noMatchRows.push(row));
+  const position = (ref) => String(ref).split(/[:-]/).slice(0, 2).map(p => (p === 'front' ? 0 : parseInt(p, 10) || 0));
+  const refs = Array.from(byReference.keys()).sort((a, b) => {
+    const [pa, pb] = [position(a), position(b)];
+    return pa[0] - pb[0] || pa[1] - pb[1];
+  });
+
+  const sections = refs.map(ref => {
+    const [chapter, verse] = position(ref);
+    const text = (verses[chapter] && verses[chapter][verse]) || '';
+    const { rows: verseRows, noMatchRows: verseNoMatch } = byReference.get(ref);
+    const located = verseRows.map(({ row, index }) => ({ row, index, spans: text ? locateRow(text, row) : [] }));
+    const found = located.filter(l => l.spans.length);
+    return `<section id="v${escapeHtml(ref.replace(/\W/g, '-'))}"><h2>${escapeHtml(`${book} ${ref}`.trim())}</h2>`
+      + (text ? `<div class="text">${highlightVerse(text, found)}</div>` : '')
+      + '<table><tr><th>ID</th><th>Tags</th><th>GLQuote</th><th>Occ.</th><th>Article</th><th>Variant of</th><th>Disambiguation</th><th>Rule / reason</th></tr>'
+      + located.map(({ row, index, spans }) => rowHtml(row, index, spans.length > 0 || !text)).join('')
+      + verseNoMatch.map(noMatchHtml).join('')
+      + '</table></section>';
+  });
+
+  const ambiguous = rows.filter(row => row.disambiguation.length > 1).length;
+  const variants = rows.filter(row => row.variantOf).length;
+  const summary = [
+    meta.mode ? `${meta.mode} mode` : '',
+    meta.range ? `range ${meta.range}` : '',
+    `${rows.length} rows`,
+    `${ambiguous} ambiguous`,
+    `${variants} variants`,
+    `${noMatchRows.length} no-match`,
+    meta.generatedAt ? `generated ${meta.generatedAt}` : '',
+  ].filter(Boolean).join(' · ');
+  const checkbox = (name, label, checked = false) => `<label><input type="checkbox" name="${name}"${checked ? ' checked' : ''}> ${label}</label>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(meta.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<div class="summary">${escapeHtml(summary)}</div>
+<div class="filters">${[
+    checkbox('ambiguous', 'Ambiguous only'),
+    checkbox('variant', 'Variants only'),
+    checkbox('tag-keyterm', '<span class="tag t-keyterm">keyterm</span>', true),
+    checkbox('tag-name', '<span class="tag t-name">name</span>', true),
+    checkbox('tag-other', '<span class="tag t-other">other</span>', true),
+    checkbox('no-match', 'No-match rows'),
+  ].join('')}</div>
+</header>
+<main>
+${sections.join('\n')}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
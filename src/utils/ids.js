@@ -0,0 +1,108 @@
+/**
+ * TWL row IDs - Works in both Node.js and Browser environments
+ *
+ * IDs are 4 characters: a letter followed by 3 letters/digits.
+ *   stable - derived from book, reference, article, quote and occurrence, so regenerating a
+ *            book yields the same IDs; collisions within a book are resolved deterministically
+ *   random - the original Math.random() IDs
+ * In either mode, IDs can be carried over from a previous TWL file for rows that still match.
+ *
+ * Usage:
+ *   import { createIdFactory } from './utils/ids.js';
+ *   const nextId = createIdFactory({ bookCode: 'rut', previousTsv });
+ *   const id = nextId({ reference: '1:1', article: 'other/famine', quote: 'famine', occurrence: 1 });
+ */
+import { parseTsv } from './tsv.js';
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+const ALNUM = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+export const ID_STRATEGIES = ['stable', 'random'];
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Deterministic 4-character ID for a seed string
+ */
+export function stableId(seed) {
+  let h = fnv1a(String(seed));
+  let id = LETTERS[h % LETTERS.length];
+  h = Math.floor(h / LETTERS.length);
+  for (let i = 0; i < 3; i++) {
+    id += ALNUM[h % ALNUM.length];
+    h = Math.floor(h / ALNUM.length);
+  }
+  return id;
+}
+
+function randomId() {
+  let id = LETTERS[Math.floor(Math.random() * LETTERS.length)];
+  for (let i = 0; i < 3; i++) id += ALNUM[Math.floor(Math.random() * ALNUM.length)];
+  return id;
+}
+
+const articleOf = (twLink) => String(twLink || '').replace(/^rc:\/\/[^/]+\/tw\/dict\/bible\//, '');
+const rowKey = (reference, article, quote, occurrence) => `${reference}|${article}|${quote}|${occurrence}`;
+
+/**
+ * Create an ID generator for one book.
+ * @param {Object} options - { bookCode, strategy: 'stable' (default) | 'random',
+ *                            previousTsv: existing TWL text whose IDs are reused for matching rows }
+ * @return {Function} - nextId({ reference, article, quote, occurrence, glQuote, glOccurrence })
+ *                      A previous row matches on Reference + TWLink and either OrigWords/Occurrence
+ *                      (quote/occurrence) or GLQuote/GLOccurrence.
+ */
+export function createIdFactory(options = {}) {
+  const strategy = options.strategy || 'stable';
+  if (!ID_STRATEGIES.includes(strategy)) throw new Error(`Unknown ID strategy: ${strategy} (expected ${ID_STRATEGIES.join(' or ')})`);
+  const bookCode = String(options.bookCode || '').toLowerCase();
+  const usedIds = new Set();
+
+  // Previous IDs stay reserved so a new row never takes over a retired row's ID
+  const previous = new Map();
+  if (options.previousTsv) {
+    for (const row of parseTsv(options.previousTsv).rows) {
+      if (!row.ID) continue;
+      usedIds.add(row.ID);
+      const article = articleOf(row.TWLink);
+      const entry = { id: row.ID, taken: false };
+      for (const key of [rowKey(row.Reference, article, row.OrigWords, row.Occurrence), rowKey(row.Reference, article, row.GLQuote, row.GLOccurrence)]) {
+        if (!previous.has(key)) previous.set(key, []);
+        previous.get(key).push(entry);
+      }
+    }
+  }
+
+  const reuse = (key) => {
+    const entry = (previous.get(key) || []).find(e => !e.taken);
+    if (!entry) return '';
+    entry.taken = true;
+    return entry.id;
+  };
+
+  return (row = {}) => {
+    const article = row.article || articleOf(row.twLink);
+    const reused = reuse(rowKey(row.reference, article, row.quote, row.occurrence)) ||
+      (row.glQuote !== undefined ? reuse(rowKey(row.reference, article, row.glQuote, row.glOccurrence)) : '');
+    if (reused) return reused;
+
+    const seed = [bookCode, row.reference, article, row.quote, row.occurrence].join('|');
+    for (let attempt = 0; ; attempt++) {
+      const id = strategy === 'random' ? randomId() : stableId(attempt ? `${seed}#${attempt}` : seed);
+      if (!usedIds.has(id)) {
+        usedIds.add(id);
+        return id;
+      }
+    }
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Merge regenerated TWL rows into an existing, hand-curated TWL - Works in both Node.js and Browser environments
+ *
+ * Curated rows are kept exactly as they are (IDs, corrected TWLinks, resolved disambiguations).
+ * Generated rows are matched to existing rows by Reference plus OrigWords/Occurrence or
+ * GLQuote/GLOccurrence; unmatched generated rows are added with Merge = "new", except those
+ * already in the output of the previous merge (baseTsv): curators deleted them, so they are not
+ * proposed again. Existing rows whose GLQuote no longer appears in the ULT verse get
+ * Merge = "stale"; rows without a GLQuote (the six-column published TWLs) are checked by their
+ * OrigWords/Occurrence in the original-language verse, or else re-anchored on a generated row.
+ *
+ * Usage:
+ *   import { mergeTwl } from './utils/merge.js';
+ *   const { mergedTsv, added, stale, unchecked } = mergeTwl(existingTsv, generatedTsv, { versesByChapter, olVersesByChapter, baseTsv });
+ */
+import { parseTsv, formatTsv, compareReferences } from './tsv.js';
+
+export const MERGE_COLUMN = 'Merge';
+
+const anchorKeys = (row) => {
+  const keys = [];
+  if (row.OrigWords) keys.push(`ol|${row.Reference}|${row.OrigWords}|${row.Occurrence}`);
+  if (row.GLQuote) keys.push(`gl|${row.Reference}|${row.GLQuote}|${row.GLOccurrence}`);
+  return keys;
+};
+
+const normalizeText = (s) => String(s || '')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * True when every part of a (possibly discontiguous, "&"-separated) quote occurs in the verse
+ * at least `occurrence` times
+ */
+export function quoteInVerse(quote, verseText, occurrence = 1) {
+  const text = normalizeText(verseText);
+  const parts = String(quote || '').split(/\s*[&…]\s*/).map(normalizeText).filter(Boolean);
+  if (!parts.length) return false;
+  const needed = Math.max(1, parseInt(occurrence, 10) || 1);
+  return parts.every(part => text.split(part).length - 1 >= needed);
+}
+
+// Original-language text as quoted in TWLs: morpheme breaks are a word joiner in OrigWords, "/" in the UHB
+const normalizeOl = (s) => String(s || '').replace(/[\/\u2060]/g, '');
+
+/**
+ * Merge generated TWL rows into an existing TWL.
+ * @param {string} existingTsv - Curated TWL text
+ * @param {string} generatedTsv - Freshly generated TWL text
+ * @param {Object} options - { versesByChapter: ULT verse texts ({ chapter: { verse: text } }) used
+ *                            to detect stale rows by GLQuote; olVersesByChapter: original-language
+ *                            verse texts, for rows with only OrigWords; baseTsv: the output of the
+ *                            previous merge (or the TWL generated for it) }
+ * @return {Object} - { mergedTsv, kept, added: [rows], stale: [rows], ignored: [generated rows
+ *                      deleted by curators], checked, unchecked: rows that could not be checked }
+ */
+export function mergeTwl(existingTsv, generatedTsv, options = {}) {
+  const existing = parseTsv(existingTsv);
+  const generated = parseTsv(generatedTsv);
+  const verses = options.versesByChapter || null;
+  const olVerses = options.olVersesByChapter || null;
+  const generatedKeys = new Set(generated.rows.flatMap(anchorKeys));
+  const baseKeys = new Set(options.baseTsv ? parseTsv(options.baseTsv).rows.flatMap(anchorKeys) : []);
+
+  // Existing columns first, then generated-only columns, then the Merge flag
+  const header = existing.header.filter(name => name !== MERGE_COLUMN);
+  for (const name of generated.header) {
+    if (!header.includes(name)) header.push(name);
+  }
+  header.push(MERGE_COLUMN);
+
+  const existingKeys = new Set();
+  const stale = [];
+  let checked = 0;
+  const rows = existing.rows.map((row, order) => {
+    anchorKeys(row).forEach(key => existingKeys.add(key));
+    // Only single-verse references can be checked against the verse text
+    const cv = String(row.Reference || '').match(/^(\d+):(\d+)$/);
+    const verseIn = (byChapter) => (byChapter && byChapter[cv[1]] ? byChapter[cv[1]][cv[2]] : undefined);
+    let isStale = false;
+    if (cv && verses && row.GLQuote) {
+      const verseText = verseIn(verses);
+      isStale = verseText === undefined || !quoteInVerse(row.GLQuote, verseText, row.GLOccurrence);
+      checked++;
+    } else if (cv && olVerses && row.OrigWords) {
+      const verseText = verseIn(olVerses);
+      isStale = verseText === undefined || !quoteInVerse(normalizeOl(row.OrigWords), normalizeOl(verseText), row.Occurrence);
+      checked++;
+    } else if (row.OrigWords && generatedKeys.has(anchorKeys(row)[0])) {
+      // Found again by the generator, so its anchor is still in the text
+      checked++;
+    }
+    const merged = { ...row, [MERGE_COLUMN]: isStale ? 'stale' : '', order };
+    if (isStale) stale.push(merged);
+    return merged;
+  });
+
+  const added = [];
+  const ignored = [];
+  for (const row of generated.rows) {
+    const keys = anchorKeys(row);
+    if (keys.some(key => existingKeys.has(key))) continue;
+    if (keys.some(key => baseKeys.has(key))) {
+      ignored.push(row);
+      continue;
+    }
+    const merged = { ...row, [MERGE_COLUMN]: 'new', order: rows.length + added.length };
+    added.push(merged);
+  }
+
+  // Keep the curated order within each verse; new rows follow the existing rows of their verse
+  const all = rows.concat(added).sort((a, b) => compareReferences(a.Reference, b.Reference) || a.order - b.order);
+
+  return {
+    mergedTsv: formatTsv(header, all),
+    kept: rows.length,
+    added,
+    stale,
+    ignored,
+    checked,
+    unchecked: rows.length - checked
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Reference range selections - Works in both Node.js and Browser environments
+ *
+ * A selection is one or more comma-separated ranges of a single book, validated against the
+ * chapter and verse counts in BibleBookData:
+ *   "ROM 8"            whole chapter
+ *   "ROM 8-9"          chapters
+ *   "JHN 3:16"         one verse
+ *   "JHN 3:16-18"      verses of a chapter
+ *   "JHN 3:1-4:12"     verses across chapters
+ *   "JHN 3:1-21, 5"    several ranges; the book carries over to the following ranges
+ *
+ * Usage:
+ *   import { parseReferenceSelection, inSelection } from './utils/references.js';
+ *   const selection = parseReferenceSelection('JHN 3:1-4:12');
+ *   if (inSelection(selection, 3, 16)) { ... }
+ */
+import { BibleBookData } from '../common/books.js';
+
+const compare = (a, b) => a[0] - b[0] || a[1] - b[1];
+
+/**
+ * Parse a reference selection.
+ * @param {string} text - Selection such as "JHN 3:1-4:12" or "ROM 8, 10:1-4"
+ * @param {Object} options - { book: book code used when the selection does not start with one }
+ * @return {Object} - { book, ranges: [{ from: [chapter, verse], to: [chapter, verse] }], label }
+ */
+export function parseReferenceSelection(text, options = {}) {
+  const pieces = String(text || '').split(',').map(p => p.trim()).filter(Boolean);
+  if (!pieces.length) throw new Error('Empty reference selection');
+  const defaultBook = String(options.book || '').toLowerCase();
+  let book = '';
+  const ranges = [];
+
+  for (const piece of pieces) {
+    let spec = piece;
+    const bm = piece.match(/^([0-9a-z]{3})(?:\s+(.*))?$/i);
+    if (bm && BibleBookData[bm[1].toLowerCase()]) {
+      const pieceBook = bm[1].toLowerCase();
+      if (book && pieceBook !== book) throw new Error(`Reference selection "${text}" spans books ${book} and ${pieceBook}; select one book at a time`);
+      book = pieceBook;
+      spec = bm[2] || '';
+    } else if (/^[0-9a-z]{3}(\s|$)/i.test(piece) && !/^\d+[:-]?/.test(piece)) {
+      throw new Error(`Unknown book code in reference selection: ${piece}`);
+    }
+    if (!book && BibleBookData[defaultBook]) book = defaultBook;
+    if (!book) throw new Error(`Reference selection "${piece}" needs a book code (e.g. "JHN ${piece}")`);
+    const chapters = BibleBookData[book].chapters;
+    const lastVerse = (c) => chapters[c - 1];
+    const checkChapter = (c) => {
+      if (c < 1 || c > chapters.length) throw new Error(`${book.toUpperCase()} has no chapter ${c} (${chapters.length} chapters)`);
+    };
+    const checkVerse = (c, v) => {
+      if (v < 1 || v > lastVerse(c)) throw new Error(`${book.toUpperCase()} ${c} has no verse ${v} (${lastVerse(c)} verses)`);
+    };
+
+    let from;
+    let to;
+    if (!spec) {
+      from = [1, 1];
+      to = [chapters.length, lastVerse(chapters.length)];
+    } else {
+      const m = spec.match(/^(\d+)(?::(\d+))?(?:\s*[-–]\s*(\d+)(?::(\d+))?)?$/);
+      if (!m) throw new Error(`Invalid reference range: ${piece}`);
+      const c1 = parseInt(m[1], 10);
+      checkChapter(c1);
+      if (m[2] === undefined) {
+        // Chapters: "8" or "8-9"
+        if (m[4] !== undefined) throw new Error(`Invalid reference range: ${piece}`);
+        const c2 = m[3] !== undefined ? parseInt(m[3], 10) : c1;
+        checkChapter(c2);
+        from = [c1, 1];
+        to = [c2, lastVerse(c2)];
+      } else {
+        const v1 = parseInt(m[2], 10);
+        checkVerse(c1, v1);
+        from = [c1, v1];
+        if (m[3] === undefined) {
+          to = from;
+        } else if (m[4] === undefined) {
+          // "3:16-18": verses of the same chapter
+          const v2 = parseInt(m[3], 10);
+          checkVerse(c1, v2);
+          to = [c1, v2];
+        } else {
+          const c2 = parseInt(m[3], 10);
+          checkChapter(c2);
+          const v2 = parseInt(m[4], 10);
+          checkVerse(c2, v2);
+          to = [c2, v2];
+        }
+      }
+    }
+    if (compare(from, to) > 0) throw new Error(`Reference range ends before it starts: ${piece}`);
+    ranges.push({ from, to });
+  }
+
+  const format = ({ from, to }) => {
+    if (compare(from, to) === 0) return `${from[0]}:${from[1]}`;
+    return from[0] === to[0] ? `${from[0]}:${from[1]}-${to[1]}` : `${from[0]}:${from[1]}-${to[0]}:${to[1]}`;
+  };
+  return { book, ranges, label: `${book.toUpperCase()} ${ranges.map(format).join(', ')}` };
+}
+
+/**
+ * Is chapter:verse inside the selection? (a null selection selects everything)
+ */
+export function inSelection(selection, chapter, verse) {
+  if (!selection) return true;
+  const ref = [parseInt(chapter, 10), parseInt(verse, 10)];
+  return selection.ranges.some(r => compare(ref, r.from) >= 0 && compare(ref, r.to) <= 0);
+}
+
+/**
+ * Is a TSV Reference ("3:16", "3:16-18", "3:front") inside the selection?
+ * Verse ranges count when their first verse is selected; "front" counts as verse 0.
+ */
+export function referenceInSelection(selection, reference) {
+  if (!selection) return true;
+  const m = String(reference || '').match(/^(\d+):(\d+|front)/);
+  if (!m) return false;
+  return inSelection(selection, m[1], m[2] === 'front' ? 0 : m[2]);
+}
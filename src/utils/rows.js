@@ -0,0 +1,90 @@
+/**
+ * Structured TWL rows - Works in both Node.js and Browser environments
+ *
+ * The TSV columns as named, typed fields, so consumers do not depend on the column order:
+ *   { reference, id, tags: [], origWords, occurrence: 1, twLink, glQuote, glOccurrence: 1,
+ *     variantOf, disambiguation: [articles], disambiguationRule }
+ * No-match rows also carry `reason`, merged rows `merge`; other columns keep their name in
+ * camelCase. Occurrences are numbers, or null when the cell is empty.
+ *
+ * Usage:
+ *   import { twlRowsFromTsv, serializeTwlResult } from './utils/rows.js';
+ *   const rows = twlRowsFromTsv(result.matchedTsv);
+ *   const { matched, noMatch } = serializeTwlResult(result, 'jsonl');
+ */
+import { parseTsv } from './tsv.js';
+
+export const OUTPUT_FORMATS = ['tsv', 'json', 'jsonl'];
+
+const FIELDS = {
+  Reference: 'reference',
+  ID: 'id',
+  Tags: 'tags',
+  OrigWords: 'origWords',
+  Occurrence: 'occurrence',
+  TWLink: 'twLink',
+  GLQuote: 'glQuote',
+  GLOccurrence: 'glOccurrence',
+  'Variant of': 'variantOf',
+  Disambiguation: 'disambiguation',
+  'Disambiguation Rule': 'disambiguationRule',
+  Merge: 'merge',
+  Reason: 'reason',
+};
+
+const camelCase = (name) => String(name).trim().toLowerCase().replace(/[^a-z0-9]+(.)/g, (m, c) => c.toUpperCase());
+const toNumber = (value) => (/^-?\d+$/.test(String(value).trim()) ? parseInt(value, 10) : null);
+const toList = (value, pattern) => String(value || '').replace(/^\(|\)$/g, '').split(pattern).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Convert a TSV row object (keyed by column name, see parseTsv) to a structured row
+ */
+export function toTwlRow(row) {
+  const out = {};
+  for (const [name, value] of Object.entries(row)) {
+    const field = FIELDS[name] || camelCase(name);
+    if (field === 'occurrence' || field === 'glOccurrence') out[field] = toNumber(value);
+    else if (field === 'tags') out[field] = toList(value, /[,;]/);
+    else if (field === 'disambiguation') out[field] = toList(value, /,/);
+    else out[field] = value;
+  }
+  return out;
+}
+
+/**
+ * Structured rows of TWL (or no-match report) TSV text
+ */
+export function twlRowsFromTsv(tsv) {
+  return parseTsv(tsv).rows.map(toTwlRow);
+}
+
+/**
+ * Serialize a generateTwlByBook result for writing:
+ *   tsv   - matched: the TWL TSV, noMatch: the no-match TSV
+ *   json  - matched: { meta, rows, noMatchRows } (and validation, mergeReport); noMatch: null (it is included)
+ *   jsonl - one structured row per line for each of the two files; meta is not included
+ * @return {Object} - { matched, noMatch } texts
+ */
+export function serializeTwlResult(result, format = 'tsv') {
+  if (!OUTPUT_FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  const rows = result.rows || twlRowsFromTsv(result.matchedTsv);
+  const noMatchRows = result.noMatchRows || twlRowsFromTsv(result.noMatchTsv);
+  if (format === 'tsv') return { matched: result.matchedTsv, noMatch: result.noMatchTsv };
+  if (format === 'json') {
+    const body = { meta: result.meta || null, rows, noMatchRows };
+    if (result.validation) body.validation = result.validation;
+    if (result.mergeReport) body.mergeReport = result.mergeReport;
+    return { matched: JSON.stringify(body, null, 2) + '\n', noMatch: null };
+  }
+  const lines = (list) => list.map(row => JSON.stringify(row) + '\n').join('');
+  return { matched: lines(rows), noMatch: lines(noMatchRows) };
+}
+
+/**
+ * Output file names of a book in a format: [twl file, no-match file (absent for json)]
+ */
+export function twlFileNames(book, format = 'tsv') {
+  const code = String(book).toLowerCase();
+  if (format === 'json') return [`${code}.twl.json`];
+  return [`${code}.twl.${format}`, `${code}.no-match.twl.${format}`];
+}
@@ -0,0 +1,202 @@
+/**
+ * TWL coverage statistics - Works in both Node.js and Browser environments
+ *
+ * Per book: matches per chapter, the distinct articles linked, the most linked terms, the share
+ * of rows carrying Disambiguation or Variant of, the TW articles never linked and the verses
+ * with zero matches. Books are aggregated with combineTwlStats (e.g. for an --all run).
+ *
+ * Usage:
+ *   import { twlStats, combineTwlStats, formatStatsMarkdown } from './utils/stats.js';
+ *   const stats = twlStats(result, { verses: result.verses, articles: await loadTwArticles() });
+ *   console.log(formatStatsMarkdown(combineTwlStats([stats])));
+ */
+
+const articleOf = (twLink) => String(twLink || '').replace(/^rc:\/\/[^/]+\/tw\/dict\/bible\//, '');
+const share = (count, total) => ({ rows: count, share: total ? Math.round((count / total) * 10000) / 10000 : 0 });
+
+// [{ key, rows }] of a count map, most rows first
+const ranked = (map, name) => Array.from(map.entries())
+  .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+  .map(([key, rows]) => ({ [name]: key, rows }));
+
+// Article ids from loadTwArticles output, a Set or an array (null when not given)
+function articleList(articles) {
+  if (!articles) return null;
+  if (articles instanceof Set) return Array.from(articles);
+  return Array.isArray(articles) ? articles.slice() : Object.keys(articles);
+}
+
+/**
+ * Statistics of one book's TWL.
+ * @param {Object} result - { rows, noMatchRows, meta } as returned by generateTwlByBook (structured rows)
+ * @param {Object} options - { book, verses: { chapter: { verse: text } } of the scanned verses (for
+ *                             the zero-match verses), articles: TW article ids or loadTwArticles output }
+ * @return {Object} - { book, rows, noMatchRows, verses, versesWithMatches, zeroMatchVerses: [refs],
+ *                      chapters: [{ chapter, verses, versesWithMatches, rows }], articlesLinked,
+ *                      articles: [{ article, rows }], terms: [{ term, rows, articles }],
+ *                      disambiguation: { rows, share }, variantOf: { rows, share }, unlinkedArticles }
+ */
+export function twlStats(result, options = {}) {
+  const rows = result.rows || [];
+  const book = String(options.book || (result.meta && result.meta.book) || '').toLowerCase();
+
+  const byChapter = new Map();
+  const chapter = (c) => byChapter.get(c) || byChapter.set(c, { chapter: c, verses: 0, versesWithMatches: 0, rows: 0 }).get(c);
+  const matchedRefs = new Set();
+  const byArticle = new Map();
+  const byTerm = new Map();
+  let disambiguated = 0;
+  let variants = 0;
+  for (const row of rows) {
+    const ref = String(row.reference || '').match(/^(\d+):(\d+|front)/);
+    if (ref) {
+      chapter(parseInt(ref[1], 10)).rows++;
+      matchedRefs.add(`${parseInt(ref[1], 10)}:${ref[2]}`);
+    }
+    const article = articleOf(row.twLink);
+    byArticle.set(article, (byArticle.get(article) || 0) + 1);
+    // Variants are counted under the TW term they are a variant of
+    const term = String(row.variantOf || row.glQuote || row.origWords || '').toLowerCase();
+    if (!byTerm.has(term)) byTerm.set(term, { rows: 0, articles: new Set() });
+    byTerm.get(term).rows++;
+    byTerm.get(term).articles.add(article);
+    if ((row.disambiguation || []).length > 1) disambiguated++;
+    if (row.variantOf) variants++;
+  }
+
+  // Verses with zero matches, in order (only when the scanned verses are known)
+  const zeroMatchVerses = [];
+  let verseCount = 0;
+  if (options.verses) {
+    const nums = (obj) => Object.keys(obj || {}).map(n => parseInt(n, 10)).filter(n => !isNaN(n)).sort((a, b) => a - b);
+    for (const c of nums(options.verses)) {
+      for (const v of nums(options.verses[c])) {
+        verseCount++;
+        chapter(c).verses++;
+        if (matchedRefs.has(`${c}:${v}`)) chapter(c).versesWithMatches++;
+        else zeroMatchVerses.push(`${c}:${v}`);
+      }
+    }
+  }
+
+  const linked = new Set(byArticle.keys());
+  const all = articleList(options.articles);
+  const terms = Array.from(byTerm.entries())
+    .sort((a, b) => b[1].rows - a[1].rows || a[0].localeCompare(b[0]))
+    .map(([term, t]) => ({ term, rows: t.rows, articles: Array.from(t.articles).sort() }));
+
+  return {
+    book,
+    rows: rows.length,
+    noMatchRows: (result.noMatchRows || []).length,
+    verses: verseCount,
+    versesWithMatches: options.verses ? verseCount - zeroMatchVerses.length : matchedRefs.size,
+    zeroMatchVerses,
+    chapters: Array.from(byChapter.values()).sort((a, b) => a.chapter - b.chapter),
+    articlesLinked: linked.size,
+    articles: ranked(byArticle, 'article'),
+    terms,
+    disambiguation: share(disambiguated, rows.length),
+    variantOf: share(variants, rows.length),
+    unlinkedArticles: all ? all.filter(a => !linked.has(a)).sort() : null,
+  };
+}
+
+/**
+ * Aggregate the statistics of several books.
+ * @return {Object} - { books: [book stats], rows, noMatchRows, verses, versesWithMatches,
+ *                      articlesLinked, articles, terms, disambiguation, variantOf,
+ *                      unlinkedArticles: articles linked in none of the books }
+ */
+export function combineTwlStats(list) {
+  const books = list.filter(Boolean);
+  const sum = (field) => books.reduce((n, s) => n + s[field], 0);
+  const byArticle = new Map();
+  const byTerm = new Map();
+  for (const s of books) {
+    for (const a of s.articles) byArticle.set(a.article, (byArticle.get(a.article) || 0) + a.rows);
+    for (const t of s.terms) {
+      if (!byTerm.has(t.term)) byTerm.set(t.term, { rows: 0, articles: new Set() });
+      byTerm.get(t.term).rows += t.rows;
+      t.articles.forEach(a => byTerm.get(t.term).articles.add(a));
+    }
+  }
+  const rows = sum('rows');
+  // Unlinked in every book that knows the TW articles
+  const withArticles = books.filter(s => s.unlinkedArticles).map(s => new Set(s.unlinkedArticles));
+  const unlinkedArticles = withArticles.length
+    ? Array.from(withArticles[0]).filter(a => !byArticle.has(a) && withArticles.every(set => set.has(a)))
+    : null;
+
+  return {
+    books,
+    rows,
+    noMatchRows: sum('noMatchRows'),
+    verses: sum('verses'),
+    versesWithMatches: sum('versesWithMatches'),
+    articlesLinked: byArticle.size,
+    articles: ranked(byArticle, 'article'),
+    terms: Array.from(byTerm.entries())
+      .sort((a, b) => b[1].rows - a[1].rows || a[0].localeCompare(b[0]))
+      .map(([term, t]) => ({ term, rows: t.rows, articles: Array.from(t.articles).sort() })),
+    disambiguation: share(books.reduce((n, s) => n + s.disambiguation.rows, 0), rows),
+    variantOf: share(books.reduce((n, s) => n + s.variantOf.rows, 0), rows),
+    unlinkedArticles,
+  };
+}
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+const table = (head, body) => [`| ${head.join(' | ')} |`, `|${head.map(() => '---').join('|')}|`, ...body.map(r => `| ${r.join(' | ')} |`)];
+
+// Markdown sections shared by a book and the aggregate
+function summarySections(s, level, top) {
+  const h = '#'.repeat(level);
+  const lines = [];
+  lines.push(...table(['Statistic', 'Value'], [
+    ['Rows', s.rows],
+    ['No-match rows', s.noMatchRows],
+    ['Verses with matches', s.verses ? `${s.versesWithMatches} of ${s.verses} (${pct(s.versesWithMatches / s.verses)})` : s.versesWithMatches],
+    ['Distinct articles linked', s.articlesLinked],
+    ['Rows with Disambiguation', `${s.disambiguation.rows} (${pct(s.disambiguation.share)})`],
+    ['Rows with Variant of', `${s.variantOf.rows} (${pct(s.variantOf.share)})`],
+  ]));
+  lines.push('', `${h} Top terms`, '');
+  lines.push(...table(['Term', 'Rows', 'Articles'], s.terms.slice(0, top).map(t => [t.term, t.rows, t.articles.join(', ')])));
+  lines.push('', `${h} Most linked articles`, '');
+  lines.push(...table(['Article', 'Rows'], s.articles.slice(0, top).map(a => [a.article, a.rows])));
+  if (s.unlinkedArticles) {
+    lines.push('', `${h} Articles never linked (${s.unlinkedArticles.length})`, '', s.unlinkedArticles.join(', ') || 'None');
+  }
+  return lines;
+}
+
+function bookSections(s, level, top) {
+  const h = '#'.repeat(level);
+  const lines = summarySections(s, level + 1, top);
+  lines.push('', `${h}# Matches per chapter`, '');
+  lines.push(...table(['Chapter', 'Rows', 'Verses with matches'], s.chapters.map(c => [c.chapter, c.rows, c.verses ? `${c.versesWithMatches} of ${c.verses}` : ''])));
+  lines.push('', `${h}# Verses with zero matches (${s.zeroMatchVerses.length})`, '', s.zeroMatchVerses.join(', ') || 'None');
+  return lines;
+}
+
+/**
+ * Markdown report of twlStats or combineTwlStats output
+ * @param {Object} options - { top: number of terms and articles listed (default 20) }
+ */
+export function formatStatsMarkdown(stats, options = {}) {
+  const top = options.top || 20;
+  if (!stats.books) return [`# TWL statistics: ${stats.book.toUpperCase()}`, '', ...bookSections(stats, 1, top)].join('\n') + '\n';
+  if (stats.books.length === 1) return formatStatsMarkdown(stats.books[0], options);
+
+  const lines = [`# TWL statistics: ${stats.books.length} books`, ''];
+  lines.push(...summarySections(stats, 2, top));
+  lines.push('', '## Books', '');
+  lines.push(...table(['Book', 'Rows', 'No-match', 'Zero-match verses', 'Articles', 'Disambiguation', 'Variant of'], stats.books.map(s => [
+    s.book.toUpperCase(), s.rows, s.noMatchRows, s.verses ? s.verses - s.versesWithMatches : '', s.articlesLinked,
+    pct(s.disambiguation.share), pct(s.variantOf.share),
+  ])));
+  for (const s of stats.books) {
+    lines.push('', `## ${s.book.toUpperCase()}`, '', ...bookSections(s, 2, top));
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,137 @@
+/**
+ * Suppression rules for noisy terms - Works in both Node.js and Browser environments
+ *
+ * A suppression config (JSON or YAML) lists rules that stop a term, or one article of a term,
+ * from being matched. Each rule may be limited to some books or references and may carry
+ * conditions; a rule without conditions always suppresses within its scope.
+ *
+ *   rules:
+ *     - term: well                  # TW term or matched text (case-insensitive); string or list
+ *       article: other/well         # only this article; the match keeps its other articles
+ *     - term: hand
+ *       books: [rut]                # book codes
+ *       references: ["1:13", "2:3-5", "jhn 3"]
+ *     - article: other/cross
+ *       onlyWhenCapitalized: true   # suppress unless the matched text is capitalized
+ *     - term: lie
+ *       notFollowedBy: [down]       # suppress when followed by one of these words
+ *       notPrecededBy: [to]         # suppress when preceded by one of these words
+ *
+ * Usage:
+ *   import { parseSuppressionConfig, createSuppressor } from './utils/suppression.js';
+ *   const suppressor = createSuppressor(parseSuppressionConfig(text));
+ *   const suppress = suppressor.forVerse('rut', 1, 13); // null when no rule applies
+ */
+import YAML from 'yaml';
+
+const RULE_KEYS = ['term', 'article', 'books', 'references', 'onlyWhenCapitalized', 'notFollowedBy', 'notPrecededBy'];
+
+const list = (value) => (value === undefined || value === null ? [] : [].concat(value).map(v => String(v).trim()).filter(Boolean));
+
+/**
+ * Parse a reference scope: "1:13", "2:3-5", "3" (whole chapter), optionally prefixed with a book code
+ */
+function parseScope(text) {
+  const m = String(text).trim().match(/^(?:([0-9a-z]{3})\s+)?(\d+)(?::(\d+)(?:-(\d+))?)?$/i);
+  if (!m) throw new Error(`Invalid suppression reference: ${text}`);
+  const from = m[3] ? parseInt(m[3], 10) : 1;
+  return {
+    book: m[1] ? m[1].toLowerCase() : '',
+    chapter: parseInt(m[2], 10),
+    from,
+    to: m[4] ? parseInt(m[4], 10) : (m[3] ? from : Infinity),
+  };
+}
+
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`Suppression rule ${index + 1} must be an object`);
+  const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length) throw new Error(`Suppression rule ${index + 1}: unknown field ${unknown.join(', ')} (expected ${RULE_KEYS.join(', ')})`);
+  const normalized = {
+    index,
+    terms: list(rule.term).map(t => t.toLowerCase()),
+    articles: list(rule.article).map(a => a.replace(/^rc:\/\/[^/]+\/tw\/dict\/bible\//, '').replace(/\.md$/, '')),
+    books: list(rule.books).map(b => b.toLowerCase()),
+    references: list(rule.references).map(parseScope),
+    onlyWhenCapitalized: !!rule.onlyWhenCapitalized,
+    notFollowedBy: list(rule.notFollowedBy).map(w => w.toLowerCase()),
+    notPrecededBy: list(rule.notPrecededBy).map(w => w.toLowerCase()),
+  };
+  if (!normalized.terms.length && !normalized.articles.length) throw new Error(`Suppression rule ${index + 1} needs a term or an article`);
+  return normalized;
+}
+
+/**
+ * Parse a suppression config.
+ * @param {string|Object|Array} config - JSON or YAML text, or an already parsed object:
+ *                                       { rules: [...] } or a bare array of rules
+ * @return {Array} - Normalized rules
+ */
+export function parseSuppressionConfig(config) {
+  let data = config;
+  if (typeof config === 'string') {
+    const text = config.trim();
+    if (!text) return [];
+    // JSON is valid YAML, but parse it as JSON first for clearer error messages
+    data = /^[[{]/.test(text) ? JSON.parse(text) : YAML.parse(text);
+  }
+  if (!data) return [];
+  const rules = Array.isArray(data) ? data : data.rules;
+  if (!Array.isArray(rules)) throw new Error('Suppression config must be a list of rules or an object with a "rules" list');
+  return rules.map(normalizeRule);
+}
+
+const inScope = (rule, book, chapter, verse) => {
+  if (rule.books.length && !rule.books.includes(book)) return false;
+  if (!rule.references.length) return true;
+  return rule.references.some(s => (!s.book || s.book === book) && s.chapter === chapter && verse >= s.from && verse <= s.to);
+};
+
+const describe = (rule) => `suppressed by rule ${rule.index + 1} (${rule.terms.concat(rule.articles).join(', ')})`;
+
+/**
+ * Does a rule's condition hold for a candidate? (no condition: always)
+ * `before`/`after` are the verse text around the match.
+ */
+function conditionHolds(rule, matchedText, before, after) {
+  const conditional = rule.onlyWhenCapitalized || rule.notFollowedBy.length || rule.notPrecededBy.length;
+  if (!conditional) return true;
+  if (rule.onlyWhenCapitalized && matchedText.charAt(0) === matchedText.charAt(0).toLowerCase()) return true;
+  const next = (after.match(/^[\s\p{P}]*([\p{L}\p{M}\p{N}'_-]+)/u) || [])[1];
+  if (next && rule.notFollowedBy.includes(next.toLowerCase())) return true;
+  const prev = (before.match(/([\p{L}\p{M}\p{N}'_-]+)[\s\p{P}]*$/u) || [])[1];
+  if (prev && rule.notPrecededBy.includes(prev.toLowerCase())) return true;
+  return false;
+}
+
+/**
+ * Build a suppressor from normalized rules.
+ * @param {Array} rules - Output of parseSuppressionConfig
+ * @return {Object} - { rules, forVerse(book, chapter, verse) } where forVerse returns null when no
+ *                    rule applies to the verse, else suppress(candidate, { before, after }) giving
+ *                    { articles: remaining articles, reason } for a candidate { term, articles, matchedText }
+ */
+export function createSuppressor(rules = []) {
+  return {
+    rules,
+    forVerse(book, chapter, verse) {
+      const b = String(book || '').toLowerCase();
+      const active = rules.filter(rule => inScope(rule, b, parseInt(chapter, 10), parseInt(verse, 10)));
+      if (!active.length) return null;
+      return (candidate, { before = '', after = '' } = {}) => {
+        const term = String(candidate.term || '').toLowerCase();
+        const text = String(candidate.matchedText || '');
+        let articles = candidate.articles;
+        const reasons = [];
+        for (const rule of active) {
+          if (rule.terms.length && !rule.terms.includes(term) && !rule.terms.includes(text.toLowerCase())) continue;
+          const hit = rule.articles.length ? articles.filter(a => rule.articles.includes(a)) : articles;
+          if (!hit.length || !conditionHolds(rule, text, before, after)) continue;
+          articles = articles.filter(a => !hit.includes(a));
+          reasons.push(describe(rule));
+        }
+        return { articles, reason: reasons.join('; ') };
+      };
+    },
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Project-specific terms and aliases on top of the TW article headers
+ * - Works in both Node.js and Browser environments
+ *
+ * An overlay (JSON or YAML) adds terms that link to existing articles and aliases that match
+ * like an existing term, without editing the TW repository:
+ *
+ *   terms:
+ *     Holy One of Israel: kt/holyone          # term -> article (string or list)
+ *     Yahweh of hosts: [kt/yahweh, kt/host]
+ *   aliases:
+ *     Noemi: Naomi                            # alias -> canonical term (links to its articles)
+ *
+ * Usage:
+ *   import { parseTermOverlay, applyTermOverlay } from './utils/termOverlay.js';
+ *   const termMap = applyTermOverlay(twTerms, parseTermOverlay(text));
+ */
+import YAML from 'yaml';
+
+const articlePath = (a) => String(a).trim().replace(/^rc:\/\/[^/]+\/tw\/dict\/bible\//, '').replace(/\.md$/, '');
+
+/**
+ * Parse a term overlay.
+ * @param {string|Object} overlay - JSON or YAML text, or an already parsed { terms, aliases } object
+ * @return {Object} - { terms: { term: [articles] }, aliases: { alias: canonicalTerm } }
+ */
+export function parseTermOverlay(overlay) {
+  let data = overlay;
+  if (typeof overlay === 'string') {
+    const text = overlay.trim();
+    data = !text ? {} : /^\{/.test(text) ? JSON.parse(text) : YAML.parse(text);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Term overlay must be an object with "terms" and/or "aliases"');
+  const unknown = Object.keys(data).filter(key => key !== 'terms' && key !== 'aliases');
+  if (unknown.length) throw new Error(`Term overlay: unknown field ${unknown.join(', ')} (expected terms, aliases)`);
+
+  const terms = {};
+  for (const [term, articles] of Object.entries(data.terms || {})) {
+    const list = [].concat(articles || []).map(articlePath).filter(Boolean);
+    if (!term.trim() || !list.length) throw new Error(`Term overlay: term "${term}" needs at least one article`);
+    terms[term.trim()] = list;
+  }
+  const aliases = {};
+  for (const [alias, canonical] of Object.entries(data.aliases || {})) {
+    if (!alias.trim() || typeof canonical !== 'string' || !canonical.trim()) throw new Error(`Term overlay: alias "${alias}" needs a canonical term`);
+    aliases[alias.trim()] = canonical.trim();
+  }
+  return { terms, aliases };
+}
+
+/**
+ * Resolve an overlay against a term map: every overlay term and alias with its articles
+ * @param {Object} termMap - { term: [articles] } from the TW headers
+ * @param {Object} overlay - Output of parseTermOverlay
+ * @return {Object} - { term: [articles] } additions; throws for unknown articles or canonical terms
+ */
+export function resolveTermOverlay(termMap, overlay) {
+  const known = new Set(Object.values(termMap).flat());
+  const additions = {};
+  for (const [term, articles] of Object.entries(overlay.terms || {})) {
+    const missing = articles.filter(a => !known.has(a));
+    if (missing.length) throw new Error(`Term overlay: unknown article ${missing.join(', ')} for term "${term}"`);
+    additions[term] = articles;
+  }
+
+  // Canonical terms are looked up case-insensitively, in the TW headers and then in the overlay terms
+  const byLower = new Map();
+  for (const map of [termMap, additions]) {
+    for (const [term, articles] of Object.entries(map)) {
+      const key = term.toLowerCase();
+      byLower.set(key, Array.from(new Set((byLower.get(key) || []).concat(articles))));
+    }
+  }
+  for (const [alias, canonical] of Object.entries(overlay.aliases || {})) {
+    const articles = byLower.get(canonical.toLowerCase());
+    if (!articles) throw new Error(`Term overlay: alias "${alias}" refers to unknown term "${canonical}"`);
+    additions[alias] = Array.from(new Set((additions[alias] || []).concat(articles)));
+  }
+  return additions;
+}
+
+/**
+ * Merge an overlay into a term map. Articles are appended to those a term already has.
+ * @return {Object} - New { term: [articles] } map; the input map is not modified
+ */
+export function applyTermOverlay(termMap, overlay) {
+  const merged = Object.fromEntries(Object.entries(termMap).map(([term, articles]) => [term, articles.slice()]));
+  for (const [term, articles] of Object.entries(resolveTermOverlay(termMap, overlay))) {
+    if (!merged[term]) merged[term] = [];
+    for (const article of articles) {
+      if (!merged[term].includes(article)) merged[term].push(article);
+    }
+  }
+  return merged;
+}
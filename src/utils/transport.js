@@ -0,0 +1,116 @@
+/**
+ * Injectable fetch support - Works in both Node.js and Browser environments
+ *
+ * Our own downloads take a fetch implementation directly. tsv-quote-converters bundles its
+ * own HTTP client, which in Node.js downloads through the global fetch; while it runs we
+ * install the caller's fetch as globalThis.fetch. (In browsers it uses XMLHttpRequest and
+ * only the dcsHost option reaches it.) It also prints some progress with console.log even with
+ * its quiet option; in Node.js withConverterLog sends what a call prints to the caller's log.
+ *
+ * Usage:
+ *   const fetchImpl = resolveFetch(options);
+ *   const result = await withGlobalFetch(options.fetch, () => addGLQuoteCols({ ... }));
+ *   await withConverterLog(log, () => withGlobalFetch(...)); // console.log of the call goes to log
+ *   const quoteFetch = memoizeFetch(fetchImpl); // repeated downloads answered from memory
+ */
+
+/**
+ * Pick the fetch implementation for a run: options.fetch, else the global fetch
+ */
+export function resolveFetch(options = {}) {
+  const fetchImpl = options.fetch || globalThis.fetch;
+  if (typeof fetchImpl !== 'function') throw new Error('No fetch implementation available; pass options.fetch');
+  return fetchImpl;
+}
+
+// The custom fetch currently installed as globalThis.fetch, shared by overlapping calls
+let installed = null;
+
+/**
+ * Run fn with globalThis.fetch replaced by fetchImpl, restoring it afterwards.
+ * Overlapping calls with the same fetchImpl share one installation; a call with a
+ * different fetchImpl waits until the current one is released.
+ */
+export async function withGlobalFetch(fetchImpl, fn) {
+  if (!fetchImpl || fetchImpl === globalThis.fetch) return fn();
+
+  while (installed && installed.fetchImpl !== fetchImpl) {
+    await installed.released;
+  }
+  if (!installed) {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    installed = { fetchImpl, original: globalThis.fetch, users: 0, released, release };
+    globalThis.fetch = fetchImpl;
+  }
+
+  const slot = installed;
+  slot.users++;
+  try {
+    return await fn();
+  } finally {
+    slot.users--;
+    if (slot.users === 0) {
+      globalThis.fetch = slot.original;
+      installed = null;
+      slot.release();
+    }
+  }
+}
+
+const isNode = typeof window === 'undefined' && typeof process !== 'undefined' && process.versions?.node;
+
+// AsyncLocalStorage holding the log of the converter call in progress (Node.js), set up on first use
+let converterLogs = null;
+
+async function converterLogStorage() {
+  if (!converterLogs) {
+    converterLogs = (async () => {
+      const { AsyncLocalStorage } = await import('node:async_hooks');
+      const storage = new AsyncLocalStorage();
+      // Only console.log calls made inside a withConverterLog call are redirected; any other
+      // code (user code, other books of a batch) prints as before
+      const original = console.log;
+      console.log = function (...messages) {
+        const log = storage.getStore();
+        return log ? log(...messages) : original.apply(this, messages);
+      };
+      return storage;
+    })();
+  }
+  return converterLogs;
+}
+
+/**
+ * Run fn with the console.log output of its own async calls sent to log (e.g. a no-op for a quiet
+ * run, or console.error). Without log, or outside Node.js, fn runs unchanged.
+ */
+export async function withConverterLog(log, fn) {
+  if (!log || !isNode) return fn();
+  const storage = await converterLogStorage();
+  return storage.run(log, fn);
+}
+
+/**
+ * Wrap fetchImpl so repeated GET requests for a URL are answered from memory. Only successful
+ * responses are kept, at most `limit` of them (least recently used are dropped first).
+ */
+export function memoizeFetch(fetchImpl, { limit = 8 } = {}) {
+  const responses = new Map();
+  return async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url || String(input);
+    const method = String(init.method || (input && input.method) || 'GET').toUpperCase();
+    if (method !== 'GET') return fetchImpl(input, init);
+    let entry = responses.get(url);
+    if (entry) {
+      responses.delete(url);
+    } else {
+      const response = await fetchImpl(input, init);
+      if (!response.ok) return response;
+      entry = { body: await response.arrayBuffer(), status: response.status, statusText: response.statusText, headers: Array.from(response.headers.entries()) };
+    }
+    responses.set(url, entry);
+    while (responses.size > limit) responses.delete(responses.keys().next().value);
+    return new Response(entry.body.slice(0), { status: entry.status, statusText: entry.statusText, headers: entry.headers });
+  };
+}
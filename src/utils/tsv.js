@@ -0,0 +1,45 @@
+/**
+ * TSV helpers for TWL files - Works in both Node.js and Browser environments
+ *
+ * TWL cells never contain tabs or newlines, so no quoting is needed.
+ *
+ * Usage:
+ *   import { parseTsv, formatTsv } from './utils/tsv.js';
+ *   const { header, rows } = parseTsv(matchedTsv);
+ *   const tsv = formatTsv(header, rows.filter(r => r.Tags === 'keyterm'));
+ */
+
+/**
+ * Parse TSV text into a header and row objects keyed by column name
+ */
+export function parseTsv(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const header = (lines[0] || '').split('\t');
+  const rows = [];
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) continue;
+    const cols = line.split('\t');
+    const row = {};
+    header.forEach((name, i) => { row[name] = cols[i] !== undefined ? cols[i] : ''; });
+    rows.push(row);
+  }
+  return { header, rows };
+}
+
+/**
+ * Format row objects as TSV text in the given column order (missing cells are empty)
+ */
+export function formatTsv(header, rows) {
+  const clean = (v) => (v === undefined || v === null ? '' : String(v).replace(/[\t\n]/g, ' '));
+  return [header.join('\t'), ...rows.map(row => header.map(name => clean(row[name])).join('\t'))].join('\n');
+}
+
+/**
+ * Compare two "chapter:verse" references (ranges compare by their start; "front" sorts first)
+ */
+export function compareReferences(a, b) {
+  const parse = (ref) => String(ref || '').split(':').map(p => (p === 'front' || p === 'intro' ? 0 : parseInt(p, 10) || 0));
+  const [ca, va = 0] = parse(a);
+  const [cb, vb = 0] = parse(b);
+  return ca - cb || va - vb;
+}
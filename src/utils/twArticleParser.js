@@ -0,0 +1,130 @@
+/**
+ * Translation Words article parser - Works in both Node.js and Browser environments
+ *
+ * Turns a TW markdown article into a structured model:
+ *   {
+ *     article: 'kt/god',
+ *     title: 'God',
+ *     terms: ['God'],
+ *     definition: 'In the Bible, the term "God" refers to ...',
+ *     seeAlso: ['kt/create', 'kt/falsegod'],
+ *     references: [{ book: 'rut', chapter: 1, verse: 16, label: 'Ruth 01:16', link: 'rc://en/tn/help/rut/01/16' }],
+ *     strongs: [['H0430'], ['G2316']]
+ *   }
+ *
+ * `strongs` uses the same list-of-sequences shape as tw_strongs_list.json.
+ *
+ * Usage:
+ *   import { parseTwArticle } from './utils/twArticleParser.js';
+ *   const model = parseTwArticle(markdown, 'kt/god');
+ */
+
+/**
+ * Split an article into its title line and "## Heading" sections
+ */
+function splitSections(content) {
+  const lines = String(content || '').replace(/\r\n?/g, '\n').split('\n');
+  let title = '';
+  const sections = [];
+  let current = null;
+
+  for (const line of lines) {
+    const h1 = line.match(/^#\s+(.*)$/);
+    if (h1 && !title && !current) {
+      title = h1[1].trim();
+      continue;
+    }
+    const h2 = line.match(/^#{2,}\s+(.*?):?\s*$/);
+    if (h2) {
+      current = { heading: h2[1].trim(), lines: [] };
+      sections.push(current);
+      continue;
+    }
+    if (current) current.lines.push(line);
+  }
+
+  return { title, sections };
+}
+
+function findSection(sections, pattern) {
+  return sections.find(s => pattern.test(s.heading)) || null;
+}
+
+/**
+ * Resolve a See also link ("../kt/create.md", "create.md", "rc://*\/tw/dict/bible/kt/create") to an article id
+ */
+function resolveArticleLink(href, article) {
+  const rc = href.match(/rc:\/\/[^/]+\/tw\/dict\/bible\/([^/]+\/[^/.]+)/);
+  if (rc) return rc[1];
+  const m = href.match(/^(?:\.\.\/([^/]+)\/)?([^/]+?)\.md$/);
+  if (!m) return '';
+  const category = m[1] || String(article || '').split('/')[0];
+  return category ? `${category}/${m[2]}` : m[2];
+}
+
+function parseSeeAlso(content, article) {
+  const seeAlso = [];
+  const blocks = String(content || '').match(/\(See also:[^()]*(?:\([^()]*\)[^()]*)*\)/gi) || [];
+  for (const block of blocks) {
+    for (const link of block.matchAll(/\[[^\]]*\]\(([^)]+)\)/g)) {
+      const id = resolveArticleLink(link[1].trim(), article);
+      if (id && id !== article && !seeAlso.includes(id)) seeAlso.push(id);
+    }
+  }
+  return seeAlso;
+}
+
+function parseReferences(section) {
+  if (!section) return [];
+  const references = [];
+  for (const line of section.lines) {
+    const m = line.match(/\[([^\]]+)\]\(([^)]+)\)/);
+    if (!m) continue;
+    const loc = m[2].match(/\/([a-z0-9]{3})\/(\d+)\/(\d+)\/?$/i);
+    if (!loc) continue;
+    references.push({
+      book: loc[1].toLowerCase(),
+      chapter: parseInt(loc[2], 10),
+      verse: parseInt(loc[3], 10),
+      label: m[1].trim(),
+      link: m[2].trim()
+    });
+  }
+  return references;
+}
+
+function parseStrongs(section) {
+  if (!section) return [];
+  const strongs = [];
+  for (const line of section.lines) {
+    if (!/Strong[’']?s/i.test(line)) continue;
+    const list = line.replace(/^.*?Strong[’']?s\s*:?/i, '');
+    for (const m of list.matchAll(/\b([HG])(\d+)([a-f]?)\b/gi)) {
+      const sid = `${m[1].toUpperCase()}${m[2]}${m[3].toLowerCase()}`;
+      if (!strongs.some(seq => seq[0] === sid)) strongs.push([sid]);
+    }
+  }
+  return strongs;
+}
+
+/**
+ * Parse one TW article
+ * @param {string} content - Markdown content of the article
+ * @param {string} article - Article id relative to bible/ (e.g. "kt/god")
+ * @return {Object} - { article, title, terms, definition, seeAlso, references, strongs }
+ */
+export function parseTwArticle(content, article = '') {
+  const { title, sections } = splitSections(content);
+  const terms = title.split(',').map(t => t.trim()).filter(Boolean);
+  const definition = findSection(sections, /^(definition|facts)/i);
+
+  return {
+    article,
+    title,
+    terms,
+    definition: definition ? definition.lines.join('\n').replace(/\(See also:[^\n]*\)/gi, '').trim() : '',
+    seeAlso: parseSeeAlso(content, article),
+    references: parseReferences(findSection(sections, /^bible references/i)),
+    strongs: parseStrongs(findSection(sections, /^word data/i))
+  };
+}
@@ -1,91 +1,9 @@
-/**
- * Generate morphological variants of a term
- */
-function generateVariants(term, isName = false) {
-  const variants = new Set([term]);
-
-  const isNoun = ['horn', 'mare', 'steed', 'horse', 'doe', 'deer', 'father', 'Father', 'cross', 'well'].includes(term) || isName;
-  const doNotPluralize = ['doe'].includes(term);
-  const doNotDepluralize = ['kids'].includes(term) || isName;
-
-  // Handle pluralization - simple 's' removal (but not for words ending in 'ss')
-  if (term.endsWith('s') && term.length > 2 && !term.endsWith('ss') && !term.endsWith('es') && !doNotDepluralize) {
-    variants.add(term.slice(0, -1)); // dogs -> dog (but not does -> doe)
-  } else if (!doNotPluralize) {
-    variants.add(term + 's'); // dog -> dogs
-  }
-
-  // Handle 'es' endings - but only for legitimate plural patterns
-  if (term.endsWith('es') && term.length > 4 && !doNotDepluralize) {
-    const base = term.slice(0, -2);
-    // Only if the base word would naturally take 'es' plural
-    if (/[sxz]$|[cs]h$/.test(base)) {
-      variants.add(base); // horses -> horse, churches -> church
-    }
-  } else if (term.endsWith('e') && !doNotPluralize) {
-    variants.add(term + 's'); // horse -> horses
-  } else if (/[sxz]$|[cs]h$/.test(term) && !doNotPluralize) {
-    variants.add(term + 'es'); // church -> churches
-  }
-
-  // Handle 'ies' endings for words ending in 'y'
-  if (term.endsWith('ies') && term.length > 4 && !doNotDepluralize) {
-    variants.add(term.slice(0, -3) + 'y'); // cities -> city
-  } else if (term.endsWith('y') && term.length > 2 && !/[aeiou]y$/.test(term) && !doNotPluralize) {
-    variants.add(term.slice(0, -1) + 'ies'); // city -> cities
-  }
-
-  // // Handle possessive forms -- // Commented out since we use curly quotes
-  // variants.add(term + "'s");
-  // variants.add(term + "'");
-  // if (term.endsWith('s')) {
-  //   variants.add(term + "'");
-  // }
-
-  // if (!isNoun) {
-  //   // Handle -ed forms - but only for legitimate verb patterns
-  //   if (term.endsWith('ed') && term.length > 4) {
-  //     const base = term.slice(0, -2);
-  //     // Only create base form if it looks like a legitimate verb stem
-  //     if (base.length > 2) {
-  //       variants.add(base); // walked -> walk
-  //     }
-  //   }
-
-  // // Handle -ing forms
-  // if (term.endsWith('ing') && term.length > 5) {
-  //   const base = term.slice(0, -3);
-  //   if (base.length > 2) {
-  //     variants.add(base); // walking -> walk
-  //   }
-  // }
-
-
-  if (!isNoun) {
-    // Double consonant handling for -ed/-ing
-    if (/[bcdfghjklmnpqrstvwxyz][aeiou][bcdfghjklmnpqrstvwxyz]$/.test(term)) {
-      variants.add(term + term.slice(-1) + 'ed'); // stop -> stopped
-      variants.add(term + term.slice(-1) + 'ing'); // stop -> stopping
-    }
-
-    // Regular -ed/-ing addition
-    if (!term.endsWith('e')) {
-      variants.add(term + 'ed');
-      variants.add(term + 'ing');
-    } else {
-      variants.add(term.slice(0, -1) + 'ed'); // love -> loved
-      variants.add(term.slice(0, -1) + 'ing'); // love -> loving
-    }
-  }
+import { getLanguageRules } from '../languages/index.js';
+import { createIdFactory } from './ids.js';
+import { createDisambiguator } from './disambiguation.js';
 
-  for (const variant of Array.from(variants)) {
-    if (variant.length > 0 && variant[0] === variant[0].toLowerCase() && /[a-z]/.test(variant[0])) {
-      variants.add(variant[0].toUpperCase() + variant.slice(1));
-    }
-  }
-
-  return Array.from(variants);
-}
+// Letters (including accented/non-Latin), combining marks, digits and underscore
+const WORD_CHAR = /[\p{L}\p{M}\p{N}_]/u;
 
 /**
  * Optimized PrefixTrie for fast term matching with case insensitivity
@@ -158,9 +76,9 @@ class PrefixTrie {
           let apostrophePos = extendedStartPos - 1;
           apostrophePos--; // Move before the apostrophe
           // Check if there are word characters immediately before the apostrophe
-          if (apostrophePos >= 0 && /[\w]/.test(originalText[apostrophePos])) {
+          if (apostrophePos >= 0 && WORD_CHAR.test(originalText[apostrophePos])) {
             // Find the start of the text before the apostrophe
-            while (apostrophePos >= 0 && /[\w]/.test(originalText[apostrophePos])) {
+            while (apostrophePos >= 0 && WORD_CHAR.test(originalText[apostrophePos])) {
               apostrophePos--;
             }
             extendedStartPos = apostrophePos + 1;
@@ -175,9 +93,9 @@ class PrefixTrie {
           let apostrophePos = extendedEndPos;
           apostrophePos++; // Move past the apostrophe
           // Check if there are word characters immediately after the apostrophe
-          if (apostrophePos < originalText.length && /[\w]/.test(originalText[apostrophePos])) {
+          if (apostrophePos < originalText.length && WORD_CHAR.test(originalText[apostrophePos])) {
             // Find the end of the text after the apostrophe
-            while (apostrophePos < originalText.length && /[\w]/.test(originalText[apostrophePos])) {
+            while (apostrophePos < originalText.length && WORD_CHAR.test(originalText[apostrophePos])) {
               apostrophePos++;
             }
             extendedEndPos = apostrophePos;
@@ -195,11 +113,11 @@ class PrefixTrie {
         // Check if this is a valid word boundary match (both start and end)
         const isStartBoundary = extendedStartPos === 0 ||
           /[\s\p{P}]/.test(originalText[extendedStartPos - 1]) ||
-          !/[\w]/.test(originalText[extendedStartPos - 1]);
+          !WORD_CHAR.test(originalText[extendedStartPos - 1]);
 
         const isEndBoundary = extendedEndPos >= originalText.length ||
           /[\s\p{P}]/.test(originalText[extendedEndPos]) ||
-          !/[\w]/.test(originalText[extendedEndPos]);
+          !WORD_CHAR.test(originalText[extendedEndPos]);
 
         const isWordBoundary = isStartBoundary && isEndBoundary;
 
@@ -209,6 +127,7 @@ class PrefixTrie {
               term: termData.term,
               articles: termData.articles,
               matchedText: originalMatchedText, // Use the extended matched text
+              start: extendedStartPos,
               length: originalMatchedText.length, // Use extended length
               originalLength: matchLength, // Keep track of original match length for advancement
               priority: termData.priority
@@ -233,12 +152,13 @@ class PrefixTrie {
 
 /**
  * Create optimized term map using PrefixTrie
+ * (variants come from the language rules module, see src/languages/)
  */
-function createOptimizedTermMap(twTerms) {
+function createOptimizedTermMap(twTerms, rules = getLanguageRules(), log = console.log) {
   const trie = new PrefixTrie();
   let termCount = 0;
 
-  console.log('Building optimized term map...');
+  log('Building optimized term map...');
 
   for (const [originalTerm, articles] of Object.entries(twTerms)) {
     // Add original term
@@ -249,7 +169,7 @@ function createOptimizedTermMap(twTerms) {
     if (!originalTerm.includes(' ')) {
       let variants = new Set([originalTerm]);
       const isName = articles[0].startsWith('names/') || articles[1]?.startsWith('names/')
-      variants = generateVariants(originalTerm, isName);
+      variants = rules.generateVariants(originalTerm, isName);
       for (const variant of variants) {
         if (variant !== originalTerm) {
           trie.insert(variant, originalTerm, articles, false);
@@ -259,14 +179,23 @@ function createOptimizedTermMap(twTerms) {
     }
   }
 
-  console.log(`Term map built with ${termCount} terms and variants`);
+  log(`Term map built with ${termCount} terms and variants`);
   return trie;
 }
 
+// Built-in disambiguation rules, used when the caller gives none
+const defaultDisambiguate = createDisambiguator().forVerse('', 0);
+
 /**
  * Fast matching using optimized algorithm
+ * options.dropped: candidates shadowed by a chosen match, or suppressed (marked suppressed: true), are pushed onto it
+ * options.suppress: verse filter from utils/suppression.js that removes suppressed articles
+ * options.disambiguate: verse rule chooser from utils/disambiguation.js for multi-article matches
  */
-function findMatches(verseText, termTrie) {
+function findMatches(verseText, termTrie, options = {}) {
+  const dropped = options.dropped || null;
+  const suppress = options.suppress || null;
+  const disambiguate = options.disambiguate || defaultDisambiguate;
   const matches = [];
   let currentPos = 0;
   let processedText = '';
@@ -287,9 +216,29 @@ function findMatches(verseText, termTrie) {
     if (currentPos >= normalizedText.length) break;
 
     // Try to find matches starting at current position
-    const candidateMatches = termTrie.findMatches(normalizedText, currentPos);
+    let candidateMatches = termTrie.findMatches(normalizedText, currentPos);
     let bestMatch = null;
 
+    // Apply suppression rules; candidates left without articles are dropped
+    if (suppress && candidateMatches.length > 0) {
+      const seen = new Set();
+      candidateMatches = candidateMatches.filter(match => {
+        const { articles, reason } = suppress(match, {
+          before: normalizedText.substring(0, match.start),
+          after: normalizedText.substring(match.start + match.length),
+        });
+        if (!reason) return true;
+        const suppressed = match.articles.filter(a => !articles.includes(a));
+        const key = `${match.matchedText}|${suppressed.join(',')}`;
+        if (dropped && !seen.has(key)) {
+          seen.add(key);
+          dropped.push({ term: match.term, articles: suppressed, matchedText: match.matchedText, reason, suppressed: true });
+        }
+        match.articles = articles;
+        return articles.length > 0;
+      });
+    }
+
     // Pick the best match (longest, then by priority)
     // But collect all articles from matches of the same length and priority
     if (candidateMatches.length > 0) {
@@ -304,22 +253,35 @@ function findMatches(verseText, termTrie) {
       }
       bestMatch.articles = Array.from(allArticles);
 
-      // Special case for "god" - prefer the appropriate article based on capitalization
-      // but keep all articles for disambiguation
-      if (bestMatch.matchedText.toLowerCase() === 'god' && bestMatch.articles.length > 1) {
-        const originalMatchedText = normalizedText.substring(currentPos, currentPos + bestMatch.length);
-        const hasGodArticle = bestMatch.articles.includes('kt/god');
-        const hasFalseGodArticle = bestMatch.articles.includes('kt/falsegod');
-
-        if (hasGodArticle && hasFalseGodArticle) {
-          // Check capitalization in original text
-          if (originalMatchedText === 'God' || originalMatchedText.charAt(0) === 'G') {
-            // Prefer kt/god for capitalized "God"
-            bestMatch.preferredArticle = 'kt/god';
-          } else {
-            // Prefer kt/falsegod for lowercase "god"
-            bestMatch.preferredArticle = 'kt/falsegod';
-          }
+      // Record candidates for other articles that lose to the best match
+      if (dropped) {
+        const seen = new Set();
+        for (const match of candidateMatches) {
+          if (match === bestMatch || match.articles.every(a => allArticles.has(a))) continue;
+          const key = `${match.matchedText}|${match.articles.join(',')}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          dropped.push({
+            term: match.term,
+            articles: match.articles,
+            matchedText: match.matchedText,
+            reason: match.length < bestMatch.length
+              ? `overlapped by longer match "${bestMatch.matchedText}"`
+              : `outranked by "${bestMatch.term}"`
+          });
+        }
+      }
+
+      // Let the disambiguation rules pick the article (e.g. "God" vs "god"),
+      // but keep all articles for the Disambiguation column
+      if (bestMatch.articles.length > 1) {
+        const choice = disambiguate(bestMatch, {
+          before: normalizedText.substring(0, bestMatch.start),
+          after: normalizedText.substring(bestMatch.start + bestMatch.length),
+        });
+        if (choice) {
+          bestMatch.preferredArticle = choice.article;
+          bestMatch.rule = choice.rule;
         }
       }
     }
@@ -333,7 +295,10 @@ function findMatches(verseText, termTrie) {
         term: bestMatch.term,
         articles: bestMatch.articles,
         preferredArticle: bestMatch.preferredArticle,
+        rule: bestMatch.rule,
         matchedText: matchedText,
+        start: bestMatch.start,
+        length: bestMatch.length,
         context: context,
         priority: bestMatch.priority
       });
@@ -356,19 +321,6 @@ function findMatches(verseText, termTrie) {
   return matches;
 }
 
-/**
- * Generate a 4-character ID starting with a letter
- */
-function generateId() {
-  const letters = 'abcdefghijklmnopqrstuvwxyz';
-  const lettersAndDigits = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  let id = letters[Math.floor(Math.random() * letters.length)];
-  for (let i = 0; i < 3; i++) {
-    id += lettersAndDigits[Math.floor(Math.random() * lettersAndDigits.length)];
-  }
-  return id;
-}
-
 /**
  * Get article category for Tags column
  */
@@ -397,9 +349,12 @@ function createDisambiguation(articles) {
 /**
  * Process verses and generate TWL matches using the optimized algorithm
  */
-export function generateTWLMatches(twTerms, verses) {
+export function generateTWLMatches(twTerms, verses, options = {}) {
   // Use the optimized trie-based approach
-  const termTrie = createOptimizedTermMap(twTerms);
+  const log = options.log || console.log;
+  const termTrie = createOptimizedTermMap(twTerms, getLanguageRules(options.language), log);
+  // options.idStrategy / options.previousTsv / options.bookCode, see ids.js
+  const nextId = createIdFactory({ bookCode: options.bookCode, strategy: options.idStrategy, previousTsv: options.previousTsv });
   const tsvRows = [];
 
   // Add TSV header
@@ -413,7 +368,7 @@ export function generateTWLMatches(twTerms, verses) {
     totalVerses += Object.keys(chapter).length;
   }
 
-  console.log(`Processing ${totalVerses} verses...`);
+  log(`Processing ${totalVerses} verses...`);
 
   for (const [chapterNum, chapter] of Object.entries(verses)) {
     for (const [verseNum, verseText] of Object.entries(chapter)) {
@@ -431,10 +386,10 @@ export function generateTWLMatches(twTerms, verses) {
         const exactMatchKey = match.matchedText;
         occurrenceCounts.set(exactMatchKey, (occurrenceCounts.get(exactMatchKey) || 0) + 1);
 
-        const id = generateId();
         const tags = getArticleCategory(match.articles[0]);
         const origWords = match.matchedText;
         const occurrence = occurrenceCounts.get(exactMatchKey);
+        const id = nextId({ reference, article: match.articles[0], quote: origWords, occurrence: String(occurrence) });
         const twLink = createTWLink(match.articles[0]);
         const disambiguation = createDisambiguation(match.articles);
         const context = match.context;
@@ -477,7 +432,7 @@ export function generateTWLMatches(twTerms, verses) {
       // Progress indicator
       processedVerses++;
       if (processedVerses % 100 === 0 || processedVerses === totalVerses) {
-        console.log(`Progress: ${processedVerses}/${totalVerses} verses (${Math.round(processedVerses / totalVerses * 100)}%)`);
+        log(`Progress: ${processedVerses}/${totalVerses} verses (${Math.round(processedVerses / totalVerses * 100)}%)`);
       }
     }
   }
@@ -486,10 +441,16 @@ export function generateTWLMatches(twTerms, verses) {
 }
 
 // Expose lightweight building and scanning APIs for reuse
-export function buildTermTrie(twTerms) {
-  return createOptimizedTermMap(twTerms);
+export function buildTermTrie(twTerms, options = {}) {
+  return createOptimizedTermMap(twTerms, getLanguageRules(options.language), options.log);
 }
 
-export function scanVerseMatches(verseText, termTrie) {
-  return findMatches(verseText, termTrie);
+// options.dropped: array that receives { term, articles, matchedText, reason } for shadowed or suppressed
+// (suppressed: true) candidates
+// options.suppress: suppression filter for this verse (createSuppressor(...).forVerse(book, chapter, verse))
+// options.disambiguate: rule chooser for this verse (createDisambiguator(...).forVerse(book, chapter));
+// matches chosen by a rule carry preferredArticle and rule; start and length locate matchedText
+// in the verse (possessive extensions included, so a match may overlap the one before it)
+export function scanVerseMatches(verseText, termTrie, options = {}) {
+  return findMatches(verseText, termTrie, options);
 }
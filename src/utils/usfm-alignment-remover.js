@@ -2,14 +2,15 @@
 
 import { BibleBookData } from '../common/books.js';
 import { removeAlignments } from 'usfm-alignment-remover';
+import { cachedFetch } from './cache.js';
 
 // Environment detection
 const isNode = typeof window === 'undefined' && typeof process !== 'undefined' && process.versions?.node;
 
 // Get appropriate fetch implementation
-async function getFetch() {
-  // Both Node.js 18+ and browsers have native fetch
-  return globalThis.fetch;
+async function getFetch(fetchImpl) {
+  // An injected fetch wins; otherwise both Node.js 18+ and browsers have native fetch
+  return fetchImpl || globalThis.fetch;
 }
 
 // Get appropriate base64 decoder
@@ -64,20 +65,59 @@ export const removeAllTagsExceptChapterVerse = (usfmContent) => {
 /**
  * Download and process USFM file for a given book
  * @param {string} book - The book identifier
+ * @param {string} dcsHost - DCS host to download from
+ * @param {Object} options - { repo: 'owner/repo' (default unfoldingWord/en_ult), ref: branch, tag or commit (default master),
+ *                            cache: store from createCache, refresh: re-download even if cached,
+ *                            fetch: fetch implementation (default globalThis.fetch) }
  * @return {Promise<Object>} - Object with chapters and verses
  */
-export async function processUsfmForBook(book, dcsHost = 'https://git.door43.org') {
+export async function processUsfmForBook(book, dcsHost = 'https://git.door43.org', options = {}) {
+  const usfmContent = await fetchBookUsfm(book, dcsHost, options);
+
+  return processUsfmContent(usfmContent);
+}
+
+/**
+ * Download the raw (still aligned) USFM for a given book
+ * @param {string} book - The book identifier
+ * @param {string} dcsHost - DCS host to download from
+ * @param {Object} options - Same as processUsfmForBook
+ * @return {Promise<string>} - USFM content
+ */
+export async function fetchBookUsfm(book, dcsHost = 'https://git.door43.org', options = {}) {
   // Normalize book key to lowercase to match BibleBookData keys
   const key = String(book || '').toLowerCase();
   if (!BibleBookData[key]) throw new Error(`Unknown book: ${book}`);
 
-  const fetch = await getFetch();
-  const usfmUrl = `${dcsHost}/api/v1/repos/unfoldingWord/en_ult/contents/${BibleBookData[key].usfm}.usfm?ref=master`;
-  const usfmRes = await fetch(usfmUrl);
-  if (!usfmRes.ok) throw new Error(`Failed to download USFM file for ${book}`);
-  const usfmData = await usfmRes.json();
-  const usfmContent = decodeBase64(usfmData.content);
+  const repo = options.repo || 'unfoldingWord/en_ult';
+  const ref = options.ref || 'master';
+  const usfmUrl = `${dcsHost}/api/v1/repos/${repo}/contents/${BibleBookData[key].usfm}.usfm?ref=${encodeURIComponent(ref)}`;
+  let usfmData;
+  if (options.cache) {
+    // Cached contents API response, revalidated with ETag/Last-Modified
+    try {
+      const { data } = await cachedFetch(usfmUrl, { cache: options.cache, refresh: options.refresh, fetch: options.fetch });
+      usfmData = JSON.parse(new TextDecoder().decode(data));
+    } catch (err) {
+      // Keep the reason (HTTP status, network or JSON error) and the URL, which HTTP errors already name
+      const reason = String(err.message || err);
+      throw new Error(`Failed to download USFM file for ${book} from ${repo}@${ref}: ${reason.includes(usfmUrl) ? reason : `${usfmUrl}: ${reason}`}`);
+    }
+  } else {
+    const fetch = await getFetch(options.fetch);
+    const usfmRes = await fetch(usfmUrl);
+    if (!usfmRes.ok) throw new Error(`Failed to download USFM file for ${book} from ${repo}@${ref}: ${usfmUrl}: ${usfmRes.status} ${usfmRes.statusText}`);
+    usfmData = await usfmRes.json();
+  }
+  return decodeBase64(usfmData.content);
+}
 
+/**
+ * Process USFM text that is already in hand (local file, unpublished draft)
+ * @param {string} usfmContent - Raw (aligned or plain) USFM content
+ * @return {Object} - Object with chapters and verses
+ */
+export function processUsfmContent(usfmContent) {
   // Remove alignments from USFM
   const cleanUsfm = removeAllTagsExceptChapterVerse(usfmContent);
 
@@ -85,6 +125,16 @@ export async function processUsfmForBook(book, dcsHost = 'https://git.door43.org
   return parseUsfmToVerses(cleanUsfm);
 }
 
+/**
+ * Read the book code from the \id line of USFM content
+ * @param {string} usfmContent - Raw USFM content
+ * @return {string} - Lowercase book code, or '' if not found
+ */
+export function bookCodeFromUsfm(usfmContent) {
+  const m = String(usfmContent || '').match(/\\id\s+([A-Z0-9]{3})/i);
+  return m ? m[1].toLowerCase() : '';
+}
+
 /**
  * Parse clean USFM content into a chapters/verses object
  * @param {string} usfm - Clean USFM content
@@ -0,0 +1,170 @@
+/**
+ * Tagged USFM export - Works in both Node.js and Browser environments
+ *
+ * Writes a book's text back out as USFM (alignment markup removed, paragraphs, poetry, headings
+ * and footnotes kept) with every TW match wrapped in a word marker that links to its article:
+ *
+ *   \v 2 Naomi and \w God's|link-href="<rc link of kt/god>"\w* well ...
+ *
+ * Inside a character marker (\add ...\add*) the nested form \+w ...\+w* is used.
+ * Matches are located in the verse by their position in the scanned verse text and the
+ * occurrence of their text before it, so a match whose text also occurs elsewhere in the verse
+ * is still tagged in the right place. Possessive forms ("God's") are tagged whole. A match that
+ * overlaps one already tagged (possessive extensions can overlap the next word) or that would
+ * cross a USFM marker is not tagged and is reported instead, since word markers cannot overlap.
+ *
+ * Usage:
+ *   import { exportTaggedUsfm } from './utils/usfmExport.js';
+ *   const { usfm, tagged, skipped } = exportTaggedUsfm(ultUsfm, { 1: { 1: { text, matches } } });
+ */
+import { removeAlignments } from 'usfm-alignment-remover';
+
+// Markers whose content is not part of the scanned verse text
+const HIDDEN = /^\\(f|fe|x)\s[\s\S]*?\\\1\*|^\\(?:s\d*|d|ts)\b[^\\\n]*/;
+const MARKER = /^\\\+?[a-z]+\d*\*?|^\\\*/i;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pattern for a match text that tolerates the normalizations of the scan (dashes, quote styles, spacing)
+const textPattern = (text) => new RegExp(
+  escapeRegex(text)
+    .replace(/\s+/g, '[\\s–—―]+')
+    .replace(/['‘’]/g, "['‘’]")
+    .replace(/["“”]/g, '["“”]'),
+  'gu');
+
+/**
+ * Visible text of a verse segment, with the index in the segment of every visible character and
+ * whether it lies inside a character marker such as \add ...\add* (where \w must be nested as \+w)
+ */
+function visibleText(segment) {
+  let text = '';
+  const map = [];
+  const nested = [];
+  const open = [];
+  let i = 0;
+  while (i < segment.length) {
+    if (segment[i] === '\\') {
+      const rest = segment.slice(i);
+      const hidden = rest.match(HIDDEN);
+      const marker = hidden || rest.match(MARKER);
+      i += marker ? marker[0].length : 1;
+      if (marker && !hidden) {
+        const name = marker[0].replace(/^\\\+?|\*$/g, '');
+        if (marker[0].endsWith('*')) {
+          if (open.includes(name)) open.splice(open.lastIndexOf(name), 1);
+        } else {
+          // A marker closed later in the verse is a character marker
+          if (name && segment.includes(`\\${name}*`, i)) open.push(name);
+          // The space after an opening marker belongs to the marker
+          if (segment[i] === ' ') i++;
+        }
+      }
+      text += ' ';
+      map.push(-1);
+      nested.push(open.length > 0);
+      continue;
+    }
+    if (segment[i] !== '{' && segment[i] !== '}') {
+      text += segment[i];
+      map.push(i);
+      nested.push(open.length > 0);
+    }
+    i++;
+  }
+  return { text, map, nested };
+}
+
+// { start, end } of the n-th (0-based) occurrence of pattern in text, or null
+function nthOccurrence(pattern, text, n) {
+  pattern.lastIndex = 0;
+  let m;
+  let count = 0;
+  while ((m = pattern.exec(text))) {
+    if (count === n) return { start: m.index, end: m.index + m[0].length };
+    count++;
+    if (!m[0].length) pattern.lastIndex++;
+  }
+  return null;
+}
+
+/**
+ * Tag the matches of one verse segment
+ * @return {Object} - { segment, tagged, skipped: [{ matchedText, article, reason }] }
+ */
+function tagSegment(segment, verse) {
+  const { text: verseText = '', matches = [] } = verse;
+  const { text, map, nested } = visibleText(segment);
+  const spans = [];
+  const skipped = [];
+  for (const m of matches) {
+    const article = m.preferredArticle || (m.articles && m.articles[0]) || '';
+    if (!article || !m.matchedText) continue;
+    const pattern = textPattern(m.matchedText);
+    // Which occurrence of the text the match is, counted in the scanned verse text
+    const before = typeof m.start === 'number' ? verseText.slice(0, m.start) : '';
+    const n = (before.match(pattern) || []).length;
+    const found = nthOccurrence(pattern, text, n);
+    const from = found ? map[found.start] : -1;
+    const to = found ? map[found.end - 1] : -1;
+    if (from < 0 || to < 0) {
+      skipped.push({ matchedText: m.matchedText, article, reason: 'text not found in the USFM verse' });
+    } else if (segment.slice(from, to + 1).includes('\\')) {
+      skipped.push({ matchedText: m.matchedText, article, reason: 'crosses a USFM marker' });
+    } else {
+      spans.push({ from, to: to + 1, article, matchedText: m.matchedText, marker: nested[found.start] ? '+w' : 'w' });
+    }
+  }
+
+  // Earlier, then longer spans win; word markers cannot overlap
+  spans.sort((a, b) => a.from - b.from || b.to - a.to);
+  const kept = [];
+  for (const span of spans) {
+    const last = kept[kept.length - 1];
+    if (last && span.from < last.to) {
+      skipped.push({ matchedText: span.matchedText, article: span.article, reason: `overlaps "${last.matchedText}"` });
+      continue;
+    }
+    kept.push(span);
+  }
+
+  let out = '';
+  let pos = 0;
+  for (const span of kept) {
+    out += segment.slice(pos, span.from);
+    out += `\\${span.marker} ${segment.slice(span.from, span.to)}|link-href="rc://*/tw/dict/bible/${span.article}"\\${span.marker}*`;
+    pos = span.to;
+  }
+  return { segment: out + segment.slice(pos), tagged: kept.length, skipped };
+}
+
+/**
+ * Write USFM with TW word markers.
+ * @param {string} usfm - The book's USFM (aligned or plain)
+ * @param {Object} verses - { chapter: { verse: { text, matches } } }: the scanned verse text and its
+ *                          scanVerseMatches output (matches need matchedText, start and an article)
+ * @return {Object} - { usfm, tagged: number of markers, skipped: [{ reference, matchedText, article, reason }] }
+ */
+export function exportTaggedUsfm(usfm, verses = {}) {
+  const plain = removeAlignments(String(usfm || ''));
+  const skipped = [];
+  let tagged = 0;
+  let chapter = 0;
+  // Split into marker-led pieces at each \c and \v; each verse runs to the next one
+  const parts = plain.split(/(\\c\s+\d+|\\v\s+\d+(?:-\d+)?\s?)/);
+  for (let i = 1; i < parts.length; i += 2) {
+    const c = parts[i].match(/^\\c\s+(\d+)/);
+    if (c) {
+      chapter = parseInt(c[1], 10);
+      continue;
+    }
+    const v = parseInt(parts[i].match(/\d+/)[0], 10);
+    const verse = verses[chapter] && verses[chapter][v];
+    if (!verse || !verse.matches || !verse.matches.length) continue;
+    const result = tagSegment(parts[i + 1], verse);
+    parts[i + 1] = result.segment;
+    tagged += result.tagged;
+    for (const s of result.skipped) skipped.push({ reference: `${chapter}:${v}`, ...s });
+  }
+  return { usfm: parts.join(''), tagged, skipped };
+}
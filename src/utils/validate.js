@@ -0,0 +1,166 @@
+/**
+ * TWL validation - Works in both Node.js and Browser environments
+ *
+ * Checks a TWL TSV for broken rows before it is written or published:
+ *   - header: required columns present, no duplicates; every row has the header's column count
+ *   - Reference: "chapter:verse" (or a verse range, "N:front", "N:intro" or "front:intro") within the
+ *     book's verse counts
+ *   - Occurrence (and GLOccurrence when there is a GLQuote): positive integers
+ *   - ID: unique (and four characters, starting with a letter)
+ *   - TWLink: a TW article link (…/tw/dict/bible/<category>/<article>) to an article of the loaded TW archive
+ *   - OrigWords/GLQuote: not empty and not marked QUOTE_NOT_FOUND
+ * Rows a merge flagged Merge=stale are reported as warnings only: they are on the curator's worklist.
+ *
+ * Usage:
+ *   import { validateTwl, formatValidation } from './utils/validate.js';
+ *   const result = validateTwl(tsv, { book: 'rut', articles: await loadTwArticles() });
+ *   if (!result.valid) console.error(formatValidation(result));
+ */
+import { BibleBookData, versesInChapter } from '../common/books.js';
+import { MERGE_COLUMN } from './merge.js';
+
+// Columns every TWL must have
+export const REQUIRED_COLUMNS = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink'];
+
+const LINK = /^rc:\/\/\*\/tw\/dict\/bible\/([a-z0-9]+\/[a-z0-9_-]+)$/;
+const REFERENCE = /^(\d+|front):(\d+|front|intro)(?:-(\d+))?$/;
+// "front" and "intro" sort before verse 1 (and a "front" chapter before chapter 1)
+const refPosition = (part) => (/^\d+$/.test(part) ? parseInt(part, 10) : 0);
+const positiveInteger = (value) => /^[1-9]\d*$/.test(String(value).trim());
+
+/**
+ * Article ids from loadTwArticles output, a Set, or an array (null: links are not checked)
+ */
+function articleSet(articles) {
+  if (!articles) return null;
+  if (articles instanceof Set) return articles;
+  return new Set(Array.isArray(articles) ? articles : Object.keys(articles));
+}
+
+/**
+ * Validate TWL TSV text.
+ * @param {string} tsv - TWL TSV (generated, merged or curated)
+ * @param {Object} options - { book: book code for the verse counts, articles: article ids or
+ *                             loadTwArticles output for the TWLink check }
+ * @return {Object} - { valid, rows, errors: [issue], warnings: [issue] } where an issue is
+ *                    { level, code, line, reference, id, column, message }
+ */
+export function validateTwl(tsv, options = {}) {
+  const errors = [];
+  const warnings = [];
+  // Set while checking a row flagged Merge=stale, whose issues are only warnings
+  let staleRow = false;
+  const add = (level, code, message, at = {}) => {
+    if (staleRow) level = 'warning';
+    const issue = { level, code, line: at.line || 0, reference: at.reference || '', id: at.id || '', column: at.column || '', message };
+    (level === 'error' ? errors : warnings).push(issue);
+  };
+
+  const book = String(options.book || '').toLowerCase();
+  if (book && !BibleBookData[book]) add('error', 'unknown-book', `Unknown book code: ${options.book}`);
+  const bookData = BibleBookData[book] ? book : '';
+  if (!bookData) add('warning', 'no-book', 'No book given; references are not checked against verse counts');
+  const known = articleSet(options.articles);
+  if (!known) add('warning', 'no-articles', 'No TW articles given; TWLinks are only checked for their form');
+
+  const lines = String(tsv || '').replace(/\r\n?/g, '\n').split('\n');
+  const header = lines[0] ? lines[0].split('\t') : [];
+  if (!header.length) {
+    add('error', 'empty', 'The TWL is empty (no header line)');
+    return { valid: false, rows: 0, errors, warnings };
+  }
+  for (const name of REQUIRED_COLUMNS) {
+    if (!header.includes(name)) add('error', 'missing-column', `Header lacks the ${name} column`, { line: 1, column: name });
+  }
+  const duplicates = header.filter((name, i) => header.indexOf(name) !== i);
+  for (const name of new Set(duplicates)) add('error', 'duplicate-column', `Header has the ${name} column more than once`, { line: 1, column: name });
+
+  const seenIds = new Map();
+  let previous = null;
+  let rows = 0;
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    rows++;
+    const line = i + 1;
+    const cols = lines[i].split('\t');
+    const row = {};
+    header.forEach((name, n) => { row[name] = cols[n] !== undefined ? cols[n] : ''; });
+    const at = { line, reference: row.Reference || '', id: row.ID || '' };
+    staleRow = row[MERGE_COLUMN] === 'stale';
+    if (staleRow) add('warning', 'stale', 'Row is flagged Merge=stale: its anchor text is no longer in the text', at);
+    if (cols.length !== header.length) {
+      add('error', 'column-count', `Row has ${cols.length} columns, the header ${header.length}`, at);
+    }
+
+    // Reference
+    const ref = String(row.Reference || '').trim().match(REFERENCE);
+    if (!ref) {
+      add('error', 'reference', `Invalid reference "${row.Reference || ''}"`, { ...at, column: 'Reference' });
+    } else if (bookData && ref[1] !== 'front') {
+      const chapter = parseInt(ref[1], 10);
+      const chapters = BibleBookData[bookData].chapters.length;
+      if (chapter < 1 || chapter > chapters) {
+        add('error', 'reference', `${bookData.toUpperCase()} has no chapter ${chapter} (${chapters} chapters)`, { ...at, column: 'Reference' });
+      } else {
+        const last = versesInChapter(bookData, chapter);
+        for (const v of [ref[2], ref[3]].filter(v => /^\d+$/.test(v || '')).map(v => parseInt(v, 10))) {
+          if (v < 1 || v > last) add('error', 'reference', `${bookData.toUpperCase()} ${chapter} has no verse ${v} (${last} verses)`, { ...at, column: 'Reference' });
+        }
+        if (ref[3] && /^\d+$/.test(ref[2]) && parseInt(ref[3], 10) < parseInt(ref[2], 10)) {
+          add('error', 'reference', `Verse range ${row.Reference} ends before it starts`, { ...at, column: 'Reference' });
+        }
+      }
+    }
+    if (ref) {
+      const position = [refPosition(ref[1]), refPosition(ref[2])];
+      if (previous && (position[0] < previous[0] || (position[0] === previous[0] && position[1] < previous[1]))) {
+        add('warning', 'order', `Row is out of reference order (after ${previous.join(':')})`, at);
+      }
+      previous = position;
+    }
+
+    // ID
+    if (!row.ID) {
+      add('error', 'id', 'Row has no ID', { ...at, column: 'ID' });
+    } else {
+      if (seenIds.has(row.ID)) add('error', 'duplicate-id', `ID ${row.ID} is also used on line ${seenIds.get(row.ID)}`, { ...at, column: 'ID' });
+      else seenIds.set(row.ID, line);
+      if (!/^[a-z][a-z0-9]{3}$/.test(row.ID)) add('warning', 'id', `ID ${row.ID} is not four characters starting with a letter`, { ...at, column: 'ID' });
+    }
+
+    // Quotes and occurrences
+    if (!row.OrigWords) add('error', 'quote', 'OrigWords is empty', { ...at, column: 'OrigWords' });
+    for (const column of ['OrigWords', 'GLQuote']) {
+      if (String(row[column] || '').startsWith('QUOTE_NOT_FOUND')) add('error', 'quote', `${column} was not found in the text (QUOTE_NOT_FOUND)`, { ...at, column });
+    }
+    if (!positiveInteger(row.Occurrence)) {
+      add('error', 'occurrence', `Occurrence "${row.Occurrence || ''}" is not a positive integer`, { ...at, column: 'Occurrence' });
+    }
+    if (row.GLQuote && header.includes('GLOccurrence') && !positiveInteger(row.GLOccurrence)) {
+      add('error', 'occurrence', `GLOccurrence "${row.GLOccurrence || ''}" is not a positive integer`, { ...at, column: 'GLOccurrence' });
+    }
+
+    // TWLink
+    const link = String(row.TWLink || '').trim().match(LINK);
+    if (!link) {
+      add('error', 'twlink', `Invalid TWLink "${row.TWLink || ''}"`, { ...at, column: 'TWLink' });
+    } else if (known && !known.has(link[1])) {
+      add('error', 'unknown-article', `TWLink article ${link[1]} is not in the TW archive`, { ...at, column: 'TWLink' });
+    }
+  }
+
+  return { valid: errors.length === 0, rows, errors, warnings };
+}
+
+/**
+ * Plain-text report of a validation result
+ */
+export function formatValidation(result, options = {}) {
+  const label = options.label ? `${options.label}: ` : '';
+  const out = [`${label}${result.rows} rows, ${result.errors.length} errors, ${result.warnings.length} warnings`];
+  for (const issue of result.errors.concat(result.warnings)) {
+    const where = [issue.line ? `line ${issue.line}` : '', issue.reference, issue.id].filter(Boolean).join(' ');
+    out.push(`  ${issue.level === 'error' ? 'ERROR' : 'warn '} ${where ? `${where}: ` : ''}${issue.message} [${issue.code}]`);
+  }
+  return out.join('\n');
+}
@@ -1,28 +1,42 @@
 /**
  * Universal TWL zipProcessor - Works in both Node.js and Browser environments
  * 
- * Downloads and processes en_tw ZIP files on-demand (no caching per user request)
+ * Downloads and processes en_tw (or another gateway language's tW) ZIP files on-demand
+ * (optionally through a persistent, revalidated cache - see cache.js), or reads a local
+ * tW archive when a source is given
  * 
  * Usage in React.js:
  *   import { generateTWTerms } from './utils/zipProcessor.js';
  *   const terms = await generateTWTerms('https://git.door43.org');
+ *   const localTerms = await generateTWTerms(null, { twSource: fileInput.files[0] });
+ *   const articles = await generateTWArticles('https://git.door43.org'); // full article models
+ *   // Terms and articles from one download:
+ *   const archive = await openTwArchive('https://git.door43.org');
+ *   const [twTerms, twArticles] = await Promise.all([
+ *     generateTWTerms('https://git.door43.org', { archive }),
+ *     generateTWArticles('https://git.door43.org', { archive })]);
  */
 import JSZip from "jszip";
+import { cachedFetch, contentHash, getCachedJson, putCachedJson } from './cache.js';
+import { getLanguageRules, stripLeadingWords } from '../languages/index.js';
+import { parseTwArticle } from './twArticleParser.js';
 
 // Environment detection
 const isNode = typeof process !== 'undefined' && process.versions?.node;
 const isBrowser = typeof window !== 'undefined';
 
 /**
- * Process ZIP buffer and extract term mappings
+ * List the article entries of a tW ZIP buffer
  */
-async function processZipBuffer(zipBuffer) {
+async function zipEntries(zipBuffer) {
   const zip = new JSZip();
   const zipData = await zip.loadAsync(zipBuffer);
 
   const entries = [];
   zipData.forEach((relativePath, file) => {
-    if (relativePath.match(/^en_tw\/bible\/.*\/.*\.md$/) && !file.dir) {
+    // DCS archives use the repo name as their top-level folder (en_tw/, fr_tw/, a fork's name);
+    // archives zipped from inside a checkout have bible/ at the root
+    if (relativePath.match(/^(?:[^/]+\/)?bible\/.*\/.*\.md$/) && !file.dir) {
       entries.push({
         entryName: relativePath,
         getData: () => file.async('string') // Return promise for string content
@@ -30,6 +44,70 @@ async function processZipBuffer(zipBuffer) {
     }
   });
 
+  return entries;
+}
+
+/**
+ * List the article entries of an unzipped tW checkout (Node.js only)
+ */
+async function directoryEntries(dirPath) {
+  const fs = await import('node:fs/promises');
+  const path = await import('node:path');
+  const isDir = async (p) => {
+    try {
+      return (await fs.stat(p)).isDirectory();
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Accept either the tW root (containing bible/) or its parent (e.g. a folder holding fr_tw/)
+  let bibleDir = path.join(dirPath, 'bible');
+  if (!(await isDir(bibleDir))) {
+    bibleDir = '';
+    for (const dirent of await fs.readdir(dirPath, { withFileTypes: true })) {
+      const candidate = path.join(dirPath, dirent.name, 'bible');
+      if (dirent.isDirectory() && await isDir(candidate)) {
+        bibleDir = candidate;
+        break;
+      }
+    }
+    if (!bibleDir) throw new Error(`No bible/ folder found in TW directory: ${dirPath}`);
+  }
+
+  const entries = [];
+  const walk = async (dir) => {
+    for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        await walk(full);
+      } else if (dirent.name.endsWith('.md')) {
+        const rel = path.relative(bibleDir, full).split(path.sep).join('/');
+        // Only article files inside a category folder, same as the archive filter
+        if (!rel.includes('/')) continue;
+        entries.push({
+          entryName: `bible/${rel}`,
+          getData: () => fs.readFile(full, 'utf8')
+        });
+      }
+    }
+  };
+  await walk(bibleDir);
+
+  return entries;
+}
+
+/**
+ * Article id ("kt/god") of an entry
+ */
+function articleId(entry) {
+  return entry.entryName.replace(/^(?:[^/]+\/)?bible\//, '').replace(/\.md$/, '');
+}
+
+/**
+ * Extract term mappings from the header line of each article entry
+ */
+async function processEntries(entries, rules) {
   entries.sort((a, b) => a.entryName.localeCompare(b.entryName));
 
   const termMap = {};
@@ -38,19 +116,14 @@ async function processZipBuffer(zipBuffer) {
     const content = await entry.getData(); // Await the async string content
     const firstLine = content.split('\n')[0];
     const terms = firstLine.replace(/^#/, '').trim().split(',').map(t => t.trim()).filter(Boolean);
-    const truncated = entry.entryName.replace('en_tw/bible/', '').replace(/\.md$/, '');
+    const truncated = articleId(entry);
 
     for (const term of terms) {
       // Normalize terms by removing parentheses and spaces before them
       // e.g., "Joseph (OT)" -> "Joseph", "Mary (sister of Martha)" -> "Mary"
       let normalizedTerm = term.replace(/\s+\([^)]*\)$/, '').trim();
-      // Strip leading articles, demonstratives, and possessive pronouns (allow repeated prefixes)
-      const prefixRegex = /^(?:(?:a|an|the|this|that|these|those|my|your|his|her|its|our|their)\s+)+/i;
-      let cleaned = normalizedTerm.trim();
-      while (prefixRegex.test(cleaned)) {
-        cleaned = cleaned.replace(prefixRegex, '').trim();
-      }
-      normalizedTerm = cleaned;
+      // Strip leading articles, demonstratives, and possessives for the tW language
+      normalizedTerm = stripLeadingWords(normalizedTerm, rules);
 
       if (!termMap[normalizedTerm]) {
         termMap[normalizedTerm] = [];
@@ -69,25 +142,136 @@ async function processZipBuffer(zipBuffer) {
   return termMap;
 }
 
-export async function generateTWTerms(dcsHost = 'https://git.door43.org') {
-  // Always download fresh ZIP (no caching per user request)
-  const zipUrl = `${dcsHost}/unfoldingWord/en_tw/archive/master.zip`;
-  console.log(`Downloading TW archive from ${zipUrl}...`);
+/**
+ * Parse every article entry into the structured article model, keyed by article id
+ */
+async function parseEntries(entries) {
+  entries.sort((a, b) => a.entryName.localeCompare(b.entryName));
 
-  const res = await fetch(zipUrl);
-  if (!res.ok) throw new Error(`Failed to download ZIP: ${res.status} ${res.statusText}`);
+  const articles = {};
+  for (const entry of entries) {
+    const id = articleId(entry);
+    articles[id] = parseTwArticle(await entry.getData(), id);
+  }
+  return articles;
+}
 
-  const zipBuffer = await res.arrayBuffer();
+/**
+ * List the article entries of a local TW source instead of downloading.
+ * Accepts a path to an en_tw zip file or unzipped checkout (Node.js),
+ * or an in-memory ArrayBuffer, Uint8Array/Buffer or Blob (Node.js and browser).
+ */
+async function twSourceEntries(twSource, log = console.log) {
+  if (typeof twSource === 'string') {
+    if (!isNode) throw new Error('TW source paths are only supported in Node.js; pass a Blob or ArrayBuffer instead');
+    const fs = await import('node:fs/promises');
+    const stat = await fs.stat(twSource);
+    if (stat.isDirectory()) {
+      log(`Reading TW articles from ${twSource}...`);
+      return directoryEntries(twSource);
+    }
+    log(`Reading TW archive from ${twSource}...`);
+    return zipEntries(await fs.readFile(twSource));
+  }
+  if (typeof Blob !== 'undefined' && twSource instanceof Blob) {
+    return zipEntries(await twSource.arrayBuffer());
+  }
+  if (twSource instanceof ArrayBuffer || ArrayBuffer.isView(twSource)) {
+    return zipEntries(twSource);
+  }
+  throw new Error('Unsupported TW source: expected a file or directory path, ArrayBuffer, Uint8Array or Blob');
+}
+
+/**
+ * Open the tW archive once: options.twSource, or the archive downloaded through the optional
+ * cache. Returns { key, ref, hash, cache, entries() } where entries() unzips (once) and lists the
+ * article entries; pass it as options.archive to generateTWTerms and generateTWArticles so both
+ * are built from one download. Progress messages go to options.log (default console.log).
+ */
+export async function openTwArchive(dcsHost = 'https://git.door43.org', options = {}) {
+  const log = options.log || console.log;
+  if (options.twSource) {
+    // Local or in-memory archive: no network access
+    const listed = twSourceEntries(options.twSource, log);
+    return { key: '', ref: '', hash: '', cache: null, entries: () => listed };
+  }
+
+  // Download the ZIP, through the optional cache (options.cache from createCache)
+  const rules = getLanguageRules(options.language);
+  const twRepo = options.twRepo || rules.defaultRepos.twRepo;
+  if (!twRepo) throw new Error(`No default TW repository for language '${rules.code}'; pass twRepo or twSource`);
+  const ref = options.ref || 'master';
+  const zipUrl = `${dcsHost}/${twRepo}/archive/${encodeURIComponent(ref)}.zip`;
+  const cache = options.cache || null;
+  log(`Downloading TW archive from ${zipUrl}...`);
+
+  let zipBuffer;
+  let fromCache = false;
+  try {
+    ({ data: zipBuffer, fromCache } = await cachedFetch(zipUrl, { cache, refresh: options.refresh, fetch: options.fetch }));
+  } catch (err) {
+    throw new Error(`Failed to download ZIP: ${err.message || err}`);
+  }
+  if (fromCache) log('TW archive unchanged; using cached copy');
+
+  let listed = null;
+  return {
+    key: zipUrl,
+    ref,
+    hash: cache ? await contentHash(zipBuffer) : '',
+    cache,
+    entries: () => listed || (listed = zipEntries(zipBuffer)),
+  };
+}
+
+/**
+ * Build something from the tW article entries of options.archive (see openTwArchive), or of an
+ * archive opened here. A built result of a downloaded archive is stored in the cache under
+ * `${zipUrl}#${kind}@${ref}` and reused only for the same ref and archive content.
+ */
+async function buildFromTw(dcsHost, options, kind, build) {
+  const log = options.log || console.log;
+  const archive = options.archive || await openTwArchive(dcsHost, options);
+  if (!archive.key) return build((await archive.entries()).slice());
 
-  // Process ZIP to extract terms
-  console.log('Processing TW articles...');
-  const termMap = await processZipBuffer(zipBuffer);
+  // Reuse the parsed result when it was built from this exact archive
+  const key = `${archive.key}#${kind}@${archive.ref}`;
+  const cached = await getCachedJson(archive.cache, key, archive.hash);
+  if (cached) {
+    log(`Loaded ${Object.keys(cached).length} ${kind.split(':')[0]} from cache`);
+    return cached;
+  }
 
-  console.log(`Generated ${Object.keys(termMap).length} terms from TW archive`);
+  // Process ZIP entries
+  log('Processing TW articles...');
+  const result = await build((await archive.entries()).slice());
+  await putCachedJson(archive.cache, key, archive.hash, result);
+  return result;
+}
+
+export async function generateTWTerms(dcsHost = 'https://git.door43.org', options = {}) {
+  // Language rules for term normalization (options.language, default en)
+  const rules = getLanguageRules(options.language);
+  const log = options.log || console.log;
+
+  const termMap = await buildFromTw(dcsHost, options, `terms:${rules.code}`, entries => processEntries(entries, rules));
+  log(`Generated ${Object.keys(termMap).length} terms from TW archive`);
 
   return termMap;
 }
 
+/**
+ * Load every TW article as a structured model (see twArticleParser.js), keyed by article id.
+ * Takes the same dcsHost and options as generateTWTerms.
+ */
+export async function generateTWArticles(dcsHost = 'https://git.door43.org', options = {}) {
+  const log = options.log || console.log;
+  const articles = await buildFromTw(dcsHost, options, 'articles', parseEntries);
+  log(`Parsed ${Object.keys(articles).length} TW articles`);
+
+  return articles;
+}
+
 /**
  * Get information about the current environment for debugging
  */
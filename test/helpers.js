@@ -0,0 +1,26 @@
+// Offline generation against the fixtures in test/fixtures: a small en_tw checkout and a plain
+// Ruth USFM. Every download fails, so the quote converters keep the English quotes and nothing
+// reaches DCS.
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+export const TW_FIXTURE = path.join(FIXTURES, 'en_tw');
+export const RUT_FIXTURE = path.join(FIXTURES, '08-RUT.usfm');
+
+export const offlineFetch = async (input) => {
+  throw new TypeError(`offline test: ${typeof input === 'string' ? input : input.url}`);
+};
+
+// generateTwlByBook options for Ruth from the fixtures
+export const fixtureOptions = (extra = {}) => ({
+  usfmFile: RUT_FIXTURE,
+  twSource: TW_FIXTURE,
+  dcsHost: 'https://fixtures.invalid',
+  fetch: offlineFetch,
+  quiet: true,
+  ...extra,
+});
+
+// "reference article" pairs of structured rows, in order
+export const links = (rows) => rows.map(row => `${row.reference} ${row.twLink.replace('rc://*/tw/dict/bible/', '')}`);
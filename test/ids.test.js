@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTwlByBook } from '../src/index.js';
+import { createIdFactory, stableId } from '../src/utils/ids.js';
+import { fixtureOptions } from './helpers.js';
+
+const ID = /^[a-z][a-z0-9]{3}$/;
+
+test('stableId is deterministic and four characters starting with a letter', () => {
+  assert.equal(stableId('rut|1:1|other/famine|famine|1'), stableId('rut|1:1|other/famine|famine|1'));
+  assert.notEqual(stableId('rut|1:1|other/famine|famine|1'), stableId('rut|1:3|other/famine|famine|1'));
+  for (const seed of ['', 'a', 'rut|1:1|names/moab|Moab|1', 'x'.repeat(200)]) assert.match(stableId(seed), ID);
+});
+
+test('the ID factory resolves collisions and rejects unknown strategies', () => {
+  const nextId = createIdFactory({ bookCode: 'rut' });
+  const row = { reference: '1:1', article: 'other/famine', quote: 'famine', occurrence: 1 };
+  const first = nextId(row);
+  const second = nextId(row);
+  assert.match(first, ID);
+  assert.match(second, ID);
+  assert.notEqual(first, second);
+  assert.equal(createIdFactory({ bookCode: 'rut' })(row), first);
+  assert.throws(() => createIdFactory({ strategy: 'sequential' }), /Unknown ID strategy/);
+});
+
+test('regenerating a book yields the same IDs', async () => {
+  const first = await generateTwlByBook('rut', fixtureOptions());
+  const second = await generateTwlByBook('rut', fixtureOptions());
+  const ids = first.rows.map(row => row.id);
+  assert.ok(ids.every(id => ID.test(id)));
+  assert.equal(new Set(ids).size, ids.length);
+  assert.deepEqual(second.rows.map(row => row.id), ids);
+  assert.equal(second.matchedTsv, first.matchedTsv);
+});
+
+test('IDs of a previous TWL are carried over to the rows that still match', async () => {
+  const first = await generateTwlByBook('rut', fixtureOptions());
+  const previousTsv = first.matchedTsv.replace(/\t[a-z0-9]{4}\t/, '\tzz01\t');
+  const second = await generateTwlByBook('rut', fixtureOptions({ previousTsv }));
+  assert.equal(second.rows[0].id, 'zz01');
+  assert.deepEqual(second.rows.slice(1).map(row => row.id), first.rows.slice(1).map(row => row.id));
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTwlByBook } from '../src/index.js';
+import { buildTermTrie, scanVerseMatches } from '../src/utils/twl-matcher.js';
+import { fixtureOptions, links } from './helpers.js';
+
+test('links the fixture terms of Ruth 1', async () => {
+  const result = await generateTwlByBook('rut', fixtureOptions());
+  assert.deepEqual(links(result.rows), [
+    '1:1 other/famine',
+    '1:1 names/moab',
+    '1:2 names/moab',
+    '1:2 kt/god',
+    '1:2 other/bread',
+    '1:3 other/famine',
+    '1:3 other/well',
+    '1:3 kt/falsegod',
+    '1:3 names/moab',
+  ]);
+  assert.deepEqual(result.rows.map(row => row.glQuote), ['famine', 'Moab', 'Moab', 'God', 'bread', 'famine', 'well', 'gods', 'Moab']);
+  assert.deepEqual(result.meta.shadowed, []);
+});
+
+test('capitalized God goes to kt/god and keeps the other article as a disambiguation', async () => {
+  const result = await generateTwlByBook('rut', fixtureOptions());
+  const god = result.rows.find(row => row.glQuote === 'God');
+  assert.equal(god.twLink, 'rc://*/tw/dict/bible/kt/god');
+  assert.deepEqual(god.disambiguation, ['kt/falsegod', 'kt/god']);
+  assert.equal(god.disambiguationRule, 'god-capitalized');
+});
+
+test('a candidate outranked by a longer match is reported as no match', async () => {
+  const result = await generateTwlByBook('rut', fixtureOptions());
+  const [dropped, ...rest] = result.noMatchTsv.trim().split('\n').slice(1).map(line => line.split('\t'));
+  assert.equal(rest.length, 0);
+  assert.equal(dropped[0], '1:3');
+  assert.equal(dropped[5], 'rc://*/tw/dict/bible/kt/god');
+  assert.match(dropped[9], /outranked by "gods"/);
+});
+
+test('a loser whose article already has a row in the verse is shadowed, not reported', async () => {
+  const result = await generateTwlByBook('rut', fixtureOptions({
+    usfm: '\\id RUT\n\\c 1\n\\p\n\\v 1 There was a famine in the land and a famine.\n\\v 2 There was a famine in the land.\n',
+    terms: { terms: { 'famine in the land': 'kt/god' } },
+  }));
+  assert.deepEqual(result.meta.shadowed.map(item => item.reference), ['1:1']);
+  const noMatch = result.noMatchTsv.trim().split('\n').slice(1).map(line => line.split('\t')[0]);
+  assert.deepEqual(noMatch, ['1:2']);
+});
+
+test('suppressed candidates get no row and are listed in meta.suppressed', async () => {
+  const result = await generateTwlByBook('rut', fixtureOptions({ suppress: { rules: [{ term: 'well', article: 'other/well' }] } }));
+  assert.ok(!links(result.rows).includes('1:3 other/well'));
+  assert.deepEqual(result.meta.suppressed.map(item => `${item.reference} ${item.matchedText}`), ['1:3 well']);
+  assert.doesNotMatch(result.noMatchTsv, /other\/well/);
+});
+
+test('the term trie matches the longest term and keeps word boundaries', () => {
+  const trie = buildTermTrie({
+    famine: ['other/famine'],
+    'false god': ['kt/falsegod'],
+    god: ['kt/falsegod'],
+    well: ['other/well'],
+  }, { log: () => {} });
+  const matches = scanVerseMatches('A false god was worshipped in the famine, farewell.', trie);
+  assert.deepEqual(matches.map(m => [m.matchedText, m.articles]), [
+    ['false god', ['kt/falsegod']],
+    ['famine', ['other/famine']],
+  ]);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTwlByBook } from '../src/index.js';
+import { mergeTwl } from '../src/utils/merge.js';
+import { parseTsv } from '../src/utils/tsv.js';
+import { fixtureOptions } from './helpers.js';
+
+const HEADER = 'Reference\tID\tTags\tOrigWords\tOccurrence\tTWLink\tGLQuote\tGLOccurrence';
+const tsv = (...rows) => [HEADER, ...rows].join('\n') + '\n';
+
+const verses = {
+  1: {
+    1: 'There was a famine in the land.',
+    2: 'They ate bread in Moab.',
+  },
+};
+
+test('mergeTwl keeps curated rows, adds new ones and flags stale anchors', () => {
+  const existing = tsv(
+    '1:1\tcur1\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1',
+    '1:2\tcur2\tname\tEgypt\t1\trc://*/tw/dict/bible/names/egypt\tEgypt\t1',
+  );
+  const generated = tsv(
+    '1:1\tgen1\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1',
+    '1:2\tgen2\t\tbread\t1\trc://*/tw/dict/bible/other/bread\tbread\t1',
+  );
+  const { mergedTsv, kept, added, stale } = mergeTwl(existing, generated, { versesByChapter: verses });
+  const rows = parseTsv(mergedTsv).rows;
+  assert.equal(kept, 2);
+  assert.deepEqual(rows.map(row => `${row.Reference} ${row.ID} ${row.Merge}`), ['1:1 cur1 ', '1:2 cur2 stale', '1:2 gen2 new']);
+  assert.deepEqual(added.map(row => row.ID), ['gen2']);
+  assert.deepEqual(stale.map(row => row.ID), ['cur2']);
+});
+
+test('mergeTwl does not propose rows curators deleted since the previous merge', () => {
+  const existing = tsv('1:1\tcur1\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1');
+  const generated = tsv(
+    '1:1\tgen1\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1',
+    '1:2\tgen2\t\tbread\t1\trc://*/tw/dict/bible/other/bread\tbread\t1',
+  );
+  const { mergedTsv, added, ignored } = mergeTwl(existing, generated, { versesByChapter: verses, baseTsv: generated });
+  assert.deepEqual(parseTsv(mergedTsv).rows.map(row => row.ID), ['cur1']);
+  assert.deepEqual(added, []);
+  assert.deepEqual(ignored.map(row => row.ID), ['gen2']);
+});
+
+test('generating with merge reports kept, new and stale rows of a curated TWL', async () => {
+  const generated = await generateTwlByBook('rut', fixtureOptions());
+  const lines = generated.matchedTsv.trim().split('\n');
+  // Curators dropped the 1:3 rows and have a row whose anchor is not in the fixture text
+  const curated = lines.filter(line => !line.startsWith('1:3\t'))
+    .concat('2:1\tcur9\tname\tRuth\t1\trc://*/tw/dict/bible/names/moab\tRuth\t1\t\t')
+    .join('\n') + '\n';
+  const result = await generateTwlByBook('rut', fixtureOptions({ merge: curated }));
+  const report = result.mergeReport;
+  assert.equal(report.kept, 6);
+  assert.deepEqual(report.added.map(row => row.Reference), ['1:3', '1:3', '1:3', '1:3']);
+  assert.deepEqual(report.stale.map(row => row.ID), ['cur9']);
+  const merged = parseTsv(result.matchedTsv);
+  assert.ok(merged.header.includes('Merge'));
+  assert.equal(merged.rows.filter(row => row.Merge === 'new').length, 4);
+  assert.match(result.noMatchTsv, /cur9.*anchor text no longer in ULT/);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTwlByBook, loadTwArticles } from '../src/index.js';
+import { validateTwl, formatValidation } from '../src/utils/validate.js';
+import { fixtureOptions } from './helpers.js';
+
+const HEADER = 'Reference\tID\tTags\tOrigWords\tOccurrence\tTWLink\tGLQuote\tGLOccurrence\tMerge';
+const tsv = (...rows) => [HEADER, ...rows].join('\n') + '\n';
+const articles = ['kt/falsegod', 'kt/god', 'names/moab', 'other/bread', 'other/famine', 'other/well'];
+const codes = (issues) => issues.map(issue => `${issue.line} ${issue.code}`);
+
+test('the generated TWL is valid against the fixture TW articles', async () => {
+  const result = await generateTwlByBook('rut', fixtureOptions());
+  assert.deepEqual(result.validation.errors, []);
+  const loaded = await loadTwArticles(fixtureOptions());
+  assert.deepEqual(Object.keys(loaded).sort(), articles);
+  const validation = validateTwl(result.matchedTsv, { book: 'rut', articles: loaded });
+  assert.equal(validation.valid, true);
+  assert.equal(validation.rows, result.rows.length);
+});
+
+test('reports broken references, IDs, quotes and links', () => {
+  const result = validateTwl(tsv(
+    '1:1\tabcd\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1\t',
+    '1:99\tabcd\t\tbread\t1\trc://*/tw/dict/bible/other/bread\tbread\t1\t',
+    '5:1\tefgh\t\tQUOTE_NOT_FOUND: Moab\t0\trc://*/tw/dict/bible/names/moab\tMoab\t1\t',
+    '2:1\tijkl\t\tNaomi\t1\trc://*/tw/dict/bible/names/naomi\tNaomi\t1\t',
+    '2:2\tmnop\t\tgrain\t1\thttps://example.org/grain\tgrain\t1\t',
+  ), { book: 'rut', articles });
+  assert.equal(result.valid, false);
+  assert.deepEqual(codes(result.errors), [
+    '3 reference',
+    '3 duplicate-id',
+    '4 reference',
+    '4 quote',
+    '4 occurrence',
+    '5 unknown-article',
+    '6 twlink',
+  ]);
+  assert.match(formatValidation(result, { label: 'RUT' }), /^RUT: 5 rows, 7 errors, \d+ warnings/);
+});
+
+test('accepts front and intro references', () => {
+  const result = validateTwl(tsv(
+    'front:intro\tabcd\t\tMoab\t1\trc://*/tw/dict/bible/names/moab\tMoab\t1\t',
+    '1:intro\tefgh\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1\t',
+    '1:front\tijkl\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1\t',
+    '1:1-2\tmnop\t\tbread\t1\trc://*/tw/dict/bible/other/bread\tbread\t1\t',
+  ), { book: 'rut', articles });
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('issues of rows flagged Merge=stale are warnings', () => {
+  const result = validateTwl(tsv(
+    '1:1\tabcd\t\tfamine\t1\trc://*/tw/dict/bible/other/famine\tfamine\t1\t',
+    '1:2\tefgh\t\tEgypt\t1\trc://*/tw/dict/bible/names/egypt\tEgypt\t1\tstale',
+  ), { book: 'rut', articles });
+  assert.equal(result.valid, true);
+  assert.deepEqual(codes(result.warnings), ['3 stale', '3 unknown-article']);
+});